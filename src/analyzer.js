@@ -1,21 +1,262 @@
-import { parse, visit } from "graphql";
+import { parse, visit, print, getLocation, Source } from "graphql";
+import fs from "fs-extra";
+import path from "path";
 import { saveCache } from "./cache.js";
+import { parseFieldSet } from "./field-set.js";
+import { findDependencyCycles } from "./graph.js";
+import {
+  applyFederationDirectives,
+  mergeFederationInfo,
+  resolveFederationLink,
+  getFederationDirectiveName,
+} from "./federation.js";
+import {
+  extractSupergraphModel,
+  applySupergraphModel,
+  mergeSupergraphModels,
+  getGraphName,
+  getArgumentValue,
+} from "./supergraph.js";
+
+const SCHEMA_EXTENSIONS = [".graphql", ".graphqls", ".gql"];
+const BUILT_IN_SCALARS = ["String", "Int", "Float", "Boolean", "ID"];
 
 export async function analyzeSchema(schemaContent, filePath) {
-  const ast = parse(schemaContent);
+  return analyzeSchemas([{ content: schemaContent, filePath }], filePath);
+}
+
+// Analyzes several subgraph schemas as one federated graph. Types from every
+// source are merged into a single type model so field specs can resolve across
+// subgraph boundaries, while each dependency keeps the subgraph it was declared in.
+// With `cache: false` the analysis is only returned, for checks that shouldn't replace
+// the cached analyses queries run against.
+export async function analyzeSchemas(sources, cachePath, options = {}) {
   const analysis = {
     types: new Map(),
     interfaces: new Map(), // Track interfaces separately
     implementations: new Map(), // Track which types implement which interfaces
+    unions: new Map(), // Track union member types
+    contexts: new Map(), // Track which types set each @context
+    inputTypes: new Map(), // Input objects, usable as field argument types
+    enums: new Map(),
+    scalars: new Map(), // Custom scalars only
     dependencies: [],
+    diagnostics: [], // Problems found while reading directives, e.g. unparsable field sets
+    supergraph: null, // Per-subgraph view built from join__* directives, if any
     metadata: {
       analyzedAt: new Date().toISOString(),
-      schemaFile: filePath,
+      schemaFile: cachePath,
+      sources: [],
+      subgraphs: [],
+      federationVersion: null, // Highest federation spec version linked by any source
       totalTypes: 0,
       totalDependencies: 0,
     },
   };
 
+  const subgraphNames = nameSubgraphs(sources);
+  const subgraphSources = sources.map((source, index) => {
+    const ast = parse(new Source(source.content, source.filePath));
+    const subgraph = subgraphNames[index];
+    // Federation directive names as this schema uses them (@link imports and renames)
+    const link = resolveFederationLink(ast);
+    const collected = collectTypes(ast, link);
+
+    // Composed supergraphs carry their real subgraph names in join__* directives
+    const supergraph = extractSupergraphModel(ast);
+    if (supergraph) {
+      applySupergraphModel(collected, supergraph);
+      analysis.supergraph = mergeSupergraphModels(analysis.supergraph, supergraph);
+    }
+    applyFederationDirectives(collected, subgraph, link);
+    collectKeySets(collected, subgraph, link);
+
+    mergeCollectedTypes(analysis, collected, subgraph);
+    collectContexts(analysis, collected, subgraph, link);
+
+    const federationVersion = link.version || (supergraph ? null : "1");
+    analysis.metadata.sources.push({ file: source.filePath, subgraph, federationVersion });
+    if (compareVersions(federationVersion, analysis.metadata.federationVersion) > 0) {
+      analysis.metadata.federationVersion = federationVersion;
+    }
+    const sourceSubgraphs = supergraph
+      ? Object.values(supergraph.graphs).map((graph) => graph.name)
+      : [subgraph];
+    sourceSubgraphs.forEach((name) => {
+      if (!analysis.metadata.subgraphs.includes(name)) {
+        analysis.metadata.subgraphs.push(name);
+      }
+    });
+
+    return { ...source, subgraph, link, types: collected.types };
+  });
+
+  // Second pass: analyze dependencies from each source against the merged model
+  extractFieldTypeDependencies(analysis);
+  subgraphSources.forEach((source) => {
+    extractDependencies(analysis, source.types, source.subgraph, source.link);
+  });
+
+  analysis.metadata.totalTypes = analysis.types.size;
+  analysis.metadata.totalDependencies = analysis.dependencies.length;
+
+  // Convert Maps to objects for JSON serialization
+  const serializableAnalysis = {
+    ...analysis,
+    types: Object.fromEntries(
+      Array.from(analysis.types.entries()).map(([key, value]) => [
+        key,
+        {
+          ...value,
+          fields: Object.fromEntries(value.fields.entries()),
+        },
+      ])
+    ),
+    interfaces: Object.fromEntries(
+      Array.from(analysis.interfaces.entries()).map(([key, value]) => [
+        key,
+        {
+          ...value,
+          fields: Object.fromEntries(value.fields.entries()),
+        },
+      ])
+    ),
+    implementations: Object.fromEntries(analysis.implementations.entries()),
+    unions: Object.fromEntries(analysis.unions.entries()),
+    contexts: Object.fromEntries(analysis.contexts.entries()),
+    inputTypes: Object.fromEntries(
+      Array.from(analysis.inputTypes.entries()).map(([key, value]) => [
+        key,
+        {
+          ...value,
+          fields: Object.fromEntries(value.fields.entries()),
+        },
+      ])
+    ),
+    enums: Object.fromEntries(analysis.enums.entries()),
+    scalars: Object.fromEntries(analysis.scalars.entries()),
+  };
+
+  reportDependencyCycles(serializableAnalysis);
+
+  // Save to cache
+  if (options.cache !== false) {
+    await saveCache(cachePath, serializableAnalysis);
+  }
+
+  return serializableAnalysis;
+}
+
+// Reports cycles in the dependency graph: fields that transitively depend on themselves,
+// and subgraphs that depend on each other (which makes query plans slow or impossible)
+function reportDependencyCycles(analysis) {
+  const { fieldCycles, subgraphCycles } = findDependencyCycles(analysis);
+
+  fieldCycles.forEach((cycle) => {
+    const hops = cycle.edges.map(
+      (dep) => `${dep.dependingType}.${dep.dependingField} -> ${dep.dependedType}.${dep.dependedField} (@${dep.directive} in ${dep.dependingSubgraph})`
+    );
+    analysis.diagnostics.push({
+      severity: "error",
+      code: "dependency-cycle",
+      message: `Dependency cycle between ${cycle.fields.join(", ")}: ${hops.join(", ")}`,
+      fields: cycle.fields,
+      subgraphs: cycle.subgraphs,
+      location: cycle.edges[0]?.location || null,
+    });
+  });
+
+  subgraphCycles.forEach((cycle) => {
+    analysis.diagnostics.push({
+      severity: "warning",
+      code: "subgraph-cycle",
+      message: `Subgraphs ${cycle.subgraphs.join(", ")} depend on each other in a cycle`,
+      subgraphs: cycle.subgraphs,
+      location: cycle.edges[0]?.dependency.location || null,
+    });
+  });
+}
+
+// Expands the given files and directories into schema sources. Directories
+// contribute every .graphql/.graphqls/.gql file they contain, one per subgraph.
+export async function collectSchemaSources(inputPaths) {
+  const sources = [];
+
+  for (const inputPath of inputPaths) {
+    const absolutePath = path.resolve(inputPath);
+
+    if (!(await fs.pathExists(absolutePath))) {
+      throw new Error(`Schema file not found: ${inputPath}`);
+    }
+
+    const stat = await fs.stat(absolutePath);
+    const files = stat.isDirectory()
+      ? (await fs.readdir(absolutePath))
+          .filter((name) => SCHEMA_EXTENSIONS.includes(path.extname(name)))
+          .sort()
+          .map((name) => path.join(absolutePath, name))
+      : [absolutePath];
+
+    for (const file of files) {
+      sources.push({ filePath: file, content: await fs.readFile(file, "utf-8") });
+    }
+  }
+
+  if (sources.length === 0) {
+    throw new Error(`No schema files found in: ${inputPaths.join(", ")}`);
+  }
+
+  return sources;
+}
+
+// Determines where a multi-source analysis is cached: the path itself when a single
+// file or directory is analyzed. Several inputs are cached under their closest shared
+// directory followed by the sorted inputs relative to it, e.g. "/schemas/{a.graphql,b.graphql}",
+// so each set of inputs gets its own entry, separate from the directory's.
+export function getSourcesCachePath(inputPaths) {
+  const absolutePaths = [...new Set(inputPaths.map((p) => path.resolve(p)))].sort();
+  if (absolutePaths.length === 1) {
+    return absolutePaths[0];
+  }
+
+  const common = getCommonDirectory(absolutePaths);
+  const relativePaths = absolutePaths.map((p) => path.relative(common, p));
+  return path.join(common, `{${relativePaths.join(",")}}`);
+}
+
+// The closest directory containing all the given absolute paths. Paths sharing only the
+// filesystem root (or on different Windows drives) end the search at the root.
+function getCommonDirectory(absolutePaths) {
+  const withSeparator = (dir) => (dir.endsWith(path.sep) ? dir : dir + path.sep);
+
+  let common = path.dirname(absolutePaths[0]);
+  while (!absolutePaths.every((p) => p.startsWith(withSeparator(common)))) {
+    const parent = path.dirname(common);
+    if (parent === common) break;
+    common = parent;
+  }
+  return common;
+}
+
+// Whether a cached analysis was made from exactly the given sources, so a directory
+// whose files were added or removed since is analyzed again
+export function hasSameSources(analysis, sources) {
+  const cached = (analysis.metadata.sources || []).map((source) => source.file).sort();
+  const current = sources.map((source) => source.filePath).sort();
+  return cached.length === current.length && cached.every((file, index) => file === current[index]);
+}
+
+function collectTypes(ast, link) {
+  const collected = {
+    types: new Map(),
+    interfaces: new Map(),
+    implementations: new Map(),
+    unions: new Map(),
+    inputTypes: new Map(),
+    enums: new Map(),
+    scalars: new Map(),
+  };
+
   // First pass: collect all types and their fields
   visit(ast, {
     InterfaceTypeDefinition(node) {
@@ -30,23 +271,27 @@ export async function analyzeSchema(schemaContent, filePath) {
           isListType: isListType(field.type),
           isNonNullType: isNonNullType(field.type),
           directives: field.directives || [],
+          arguments: extractArguments(field),
+          location: getNodeLocation(field),
         });
       });
 
-      analysis.interfaces.set(interfaceName, {
+      collected.interfaces.set(interfaceName, {
         name: interfaceName,
         fields,
         directives: node.directives || [],
+        location: getNodeLocation(node),
       });
 
       // Also add to types for compatibility
-      analysis.types.set(interfaceName, {
+      collected.types.set(interfaceName, {
         name: interfaceName,
         fields,
         isInterface: true,
         isExtension: false,
         directives: node.directives || [],
-        keyFields: extractKeyFields(node.directives),
+        keyFields: extractKeyFields(node.directives, link),
+        location: getNodeLocation(node),
       });
     },
 
@@ -63,34 +308,38 @@ export async function analyzeSchema(schemaContent, filePath) {
           isListType: isListType(field.type),
           isNonNullType: isNonNullType(field.type),
           directives: field.directives || [],
+          arguments: extractArguments(field),
+          location: getNodeLocation(field),
         });
       });
 
-      analysis.types.set(typeName, {
+      collected.types.set(typeName, {
         name: typeName,
         fields,
         isInterface: false,
         isExtension: false,
         interfaces,
         directives: node.directives || [],
-        keyFields: extractKeyFields(node.directives),
+        keyFields: extractKeyFields(node.directives, link),
+        location: getNodeLocation(node),
       });
 
       // Track interface implementations
       interfaces.forEach(interfaceName => {
-        if (!analysis.implementations.has(interfaceName)) {
-          analysis.implementations.set(interfaceName, []);
+        if (!collected.implementations.has(interfaceName)) {
+          collected.implementations.set(interfaceName, []);
         }
-        analysis.implementations.get(interfaceName).push(typeName);
+        collected.implementations.get(interfaceName).push(typeName);
       });
     },
 
     InterfaceTypeExtension(node) {
       const interfaceName = node.name.value;
-      const existingInterface = analysis.interfaces.get(interfaceName) || {
+      const existingInterface = collected.interfaces.get(interfaceName) || {
         name: interfaceName,
         fields: new Map(),
         directives: [],
+        location: getNodeLocation(node),
       };
 
       node.fields?.forEach((field) => {
@@ -101,6 +350,8 @@ export async function analyzeSchema(schemaContent, filePath) {
           isListType: isListType(field.type),
           isNonNullType: isNonNullType(field.type),
           directives: field.directives || [],
+          arguments: extractArguments(field),
+          location: getNodeLocation(field),
         });
       });
 
@@ -109,16 +360,17 @@ export async function analyzeSchema(schemaContent, filePath) {
         ...(node.directives || []),
       ];
 
-      analysis.interfaces.set(interfaceName, existingInterface);
+      collected.interfaces.set(interfaceName, existingInterface);
 
       // Also update in types
-      const existingType = analysis.types.get(interfaceName) || {
+      const existingType = collected.types.get(interfaceName) || {
         name: interfaceName,
         fields: new Map(),
         isInterface: true,
         isExtension: true,
         directives: [],
         keyFields: [],
+        location: getNodeLocation(node),
       };
 
       node.fields?.forEach((field) => {
@@ -129,6 +381,8 @@ export async function analyzeSchema(schemaContent, filePath) {
           isListType: isListType(field.type),
           isNonNullType: isNonNullType(field.type),
           directives: field.directives || [],
+          arguments: extractArguments(field),
+          location: getNodeLocation(field),
         });
       });
 
@@ -138,16 +392,16 @@ export async function analyzeSchema(schemaContent, filePath) {
       ];
       existingType.keyFields = [
         ...existingType.keyFields,
-        ...extractKeyFields(node.directives || []),
+        ...extractKeyFields(node.directives || [], link),
       ];
 
-      analysis.types.set(interfaceName, existingType);
+      collected.types.set(interfaceName, existingType);
     },
 
     ObjectTypeExtension(node) {
       const typeName = node.name.value;
       const interfaces = node.interfaces?.map(i => i.name.value) || [];
-      const existingType = analysis.types.get(typeName) || {
+      const existingType = collected.types.get(typeName) || {
         name: typeName,
         fields: new Map(),
         isInterface: false,
@@ -155,6 +409,7 @@ export async function analyzeSchema(schemaContent, filePath) {
         interfaces: [],
         directives: [],
         keyFields: [],
+        location: getNodeLocation(node),
       };
 
       node.fields?.forEach((field) => {
@@ -165,6 +420,8 @@ export async function analyzeSchema(schemaContent, filePath) {
           isListType: isListType(field.type),
           isNonNullType: isNonNullType(field.type),
           directives: field.directives || [],
+          arguments: extractArguments(field),
+          location: getNodeLocation(field),
         });
       });
 
@@ -174,11 +431,11 @@ export async function analyzeSchema(schemaContent, filePath) {
         
         // Track interface implementations
         interfaces.forEach(interfaceName => {
-          if (!analysis.implementations.has(interfaceName)) {
-            analysis.implementations.set(interfaceName, []);
+          if (!collected.implementations.has(interfaceName)) {
+            collected.implementations.set(interfaceName, []);
           }
-          if (!analysis.implementations.get(interfaceName).includes(typeName)) {
-            analysis.implementations.get(interfaceName).push(typeName);
+          if (!collected.implementations.get(interfaceName).includes(typeName)) {
+            collected.implementations.get(interfaceName).push(typeName);
           }
         });
       }
@@ -190,77 +447,445 @@ export async function analyzeSchema(schemaContent, filePath) {
       ];
       existingType.keyFields = [
         ...existingType.keyFields,
-        ...extractKeyFields(node.directives || []),
+        ...extractKeyFields(node.directives || [], link),
       ];
 
-      analysis.types.set(typeName, existingType);
+      collected.types.set(typeName, existingType);
     },
+
+    UnionTypeDefinition(node) {
+      addUnionMembers(collected, node, false);
+    },
+
+    UnionTypeExtension(node) {
+      addUnionMembers(collected, node, true);
+    },
+
+    InputObjectTypeDefinition(node) {
+      addInputFields(collected, node);
+    },
+
+    InputObjectTypeExtension(node) {
+      addInputFields(collected, node);
+    },
+
+    EnumTypeDefinition(node) {
+      addEnumValues(collected, node);
+    },
+
+    EnumTypeExtension(node) {
+      addEnumValues(collected, node);
+    },
+
+    ScalarTypeDefinition(node) {
+      addScalar(collected, node);
+    },
+
+    ScalarTypeExtension(node) {
+      addScalar(collected, node);
+    },
+  });
+
+  return collected;
+}
+
+// Federation and supergraph machinery (join__Graph, link__Import, ...) is namespaced
+// and not part of the schema's own type model
+function isSpecDefinition(name) {
+  return /^[a-z]+__/.test(name);
+}
+
+function addInputFields(collected, node) {
+  const inputName = node.name.value;
+  const existingInput = collected.inputTypes.get(inputName) || {
+    name: inputName,
+    fields: new Map(),
+    directives: [],
+    location: getNodeLocation(node),
+  };
+
+  node.fields?.forEach((field) => {
+    existingInput.fields.set(field.name.value, {
+      name: field.name.value,
+      type: extractFieldType(field.type),
+      isListType: isListType(field.type),
+      isNonNullType: isNonNullType(field.type),
+      defaultValue: field.defaultValue ? print(field.defaultValue) : null,
+      directives: field.directives || [],
+      location: getNodeLocation(field),
+    });
+  });
+  existingInput.directives = [...existingInput.directives, ...(node.directives || [])];
+
+  collected.inputTypes.set(inputName, existingInput);
+}
+
+function addEnumValues(collected, node) {
+  const enumName = node.name.value;
+  if (isSpecDefinition(enumName)) return;
+
+  const existingEnum = collected.enums.get(enumName) || {
+    name: enumName,
+    values: [],
+    directives: [],
+    location: getNodeLocation(node),
+  };
+
+  node.values?.forEach((value) => {
+    if (!existingEnum.values.some((v) => v.name === value.name.value)) {
+      existingEnum.values.push({
+        name: value.name.value,
+        directives: value.directives || [],
+        location: getNodeLocation(value),
+      });
+    }
+  });
+  existingEnum.directives = [...existingEnum.directives, ...(node.directives || [])];
+
+  collected.enums.set(enumName, existingEnum);
+}
+
+function addScalar(collected, node) {
+  const scalarName = node.name.value;
+  if (isSpecDefinition(scalarName)) return;
+
+  const existingScalar = collected.scalars.get(scalarName) || {
+    name: scalarName,
+    directives: [],
+    location: getNodeLocation(node),
+  };
+  existingScalar.directives = [...existingScalar.directives, ...(node.directives || [])];
+
+  collected.scalars.set(scalarName, existingScalar);
+}
+
+// Track union members the same way interface implementations are tracked. Unions
+// are also added to types (without fields) so field specs can traverse them.
+function addUnionMembers(collected, node, isExtension) {
+  const unionName = node.name.value;
+  const members = node.types?.map(t => t.name.value) || [];
+  const existingUnion = collected.unions.get(unionName) || {
+    name: unionName,
+    members: [],
+    directives: [],
+  };
+
+  members.forEach(member => {
+    if (!existingUnion.members.includes(member)) {
+      existingUnion.members.push(member);
+    }
+  });
+  existingUnion.directives = [...existingUnion.directives, ...(node.directives || [])];
+  collected.unions.set(unionName, existingUnion);
+
+  const existingType = collected.types.get(unionName) || {
+    name: unionName,
+    fields: new Map(),
+    isInterface: false,
+    isUnion: true,
+    isExtension,
+    members: [],
+    location: getNodeLocation(node),
+    directives: [],
+    keyFields: [],
+  };
+  existingType.members = [...existingUnion.members];
+  existingType.directives = [...existingUnion.directives];
+  collected.types.set(unionName, existingType);
+}
+
+// Folds one subgraph's types into the merged type model, recording which
+// subgraphs define each type and field.
+function mergeCollectedTypes(analysis, collected, subgraph) {
+  collected.types.forEach((type, typeName) => {
+    const existingType = analysis.types.get(typeName);
+
+    if (!existingType) {
+      const fields = new Map();
+      type.fields.forEach((field, fieldName) => {
+        fields.set(fieldName, { ...field, subgraphs: field.subgraphs || [subgraph] });
+      });
+      analysis.types.set(typeName, {
+        ...type,
+        fields,
+        keys: [...type.keys], // Later subgraphs add their keys to the merged type only
+        subgraphs: type.subgraphs || [subgraph],
+      });
+      return;
+    }
+
+    type.fields.forEach((field, fieldName) => {
+      const existingField = existingType.fields.get(fieldName);
+      if (!existingField) {
+        existingType.fields.set(fieldName, { ...field, subgraphs: field.subgraphs || [subgraph] });
+        return;
+      }
+
+      existingField.directives = [...existingField.directives, ...field.directives];
+      existingField.arguments = [
+        ...existingField.arguments,
+        ...field.arguments.filter((arg) => !existingField.arguments.some((a) => a.name === arg.name)),
+      ];
+      existingField.federation = mergeFederationInfo(existingField.federation, field.federation);
+      (field.subgraphs || [subgraph]).forEach((name) => {
+        if (!existingField.subgraphs.includes(name)) {
+          existingField.subgraphs.push(name);
+        }
+      });
+    });
+
+    // A type is only an extension if no subgraph owns its definition
+    existingType.isExtension = existingType.isExtension && type.isExtension;
+    existingType.directives = [...existingType.directives, ...type.directives];
+    existingType.federation = mergeFederationInfo(existingType.federation, type.federation);
+    existingType.keyFields = [
+      ...existingType.keyFields,
+      ...type.keyFields.filter((keyField) => !existingType.keyFields.includes(keyField)),
+    ];
+    type.keys.forEach((key) => addKeySet(existingType.keys, key));
+    if (type.interfaces) {
+      existingType.interfaces = [
+        ...(existingType.interfaces || []),
+        ...type.interfaces.filter((i) => !(existingType.interfaces || []).includes(i)),
+      ];
+    }
+    (type.subgraphs || [subgraph]).forEach((name) => {
+      if (!existingType.subgraphs.includes(name)) {
+        existingType.subgraphs.push(name);
+      }
+    });
+  });
+
+  collected.interfaces.forEach((iface, interfaceName) => {
+    const existingInterface = analysis.interfaces.get(interfaceName);
+    if (!existingInterface) {
+      analysis.interfaces.set(interfaceName, {
+        ...iface,
+        fields: analysis.types.get(interfaceName)?.fields || iface.fields,
+      });
+    }
+  });
+
+  collected.inputTypes.forEach((input, inputName) => {
+    const existingInput = analysis.inputTypes.get(inputName) || {
+      ...input,
+      fields: new Map(),
+      subgraphs: [],
+    };
+    input.fields.forEach((field, fieldName) => {
+      if (!existingInput.fields.has(fieldName)) {
+        existingInput.fields.set(fieldName, field);
+      }
+    });
+    if (!existingInput.subgraphs.includes(subgraph)) {
+      existingInput.subgraphs.push(subgraph);
+    }
+    analysis.inputTypes.set(inputName, existingInput);
+  });
+
+  collected.enums.forEach((enumType, enumName) => {
+    const existingEnum = analysis.enums.get(enumName) || { ...enumType, values: [], subgraphs: [] };
+    enumType.values.forEach((value) => {
+      if (!existingEnum.values.some((v) => v.name === value.name)) {
+        existingEnum.values.push(value);
+      }
+    });
+    if (!existingEnum.subgraphs.includes(subgraph)) {
+      existingEnum.subgraphs.push(subgraph);
+    }
+    analysis.enums.set(enumName, existingEnum);
+  });
+
+  collected.scalars.forEach((scalar, scalarName) => {
+    const existingScalar = analysis.scalars.get(scalarName) || { ...scalar, subgraphs: [] };
+    if (!existingScalar.subgraphs.includes(subgraph)) {
+      existingScalar.subgraphs.push(subgraph);
+    }
+    analysis.scalars.set(scalarName, existingScalar);
+  });
+
+  collected.unions.forEach((union, unionName) => {
+    const existingUnion = analysis.unions.get(unionName) || { ...union, members: [] };
+    union.members.forEach((member) => {
+      if (!existingUnion.members.includes(member)) {
+        existingUnion.members.push(member);
+      }
+    });
+    analysis.unions.set(unionName, existingUnion);
+    analysis.types.get(unionName).members = [...existingUnion.members];
   });
 
-  // Second pass: analyze dependencies from @requires and @provides directives
+  collected.implementations.forEach((typeNames, interfaceName) => {
+    const existing = analysis.implementations.get(interfaceName) || [];
+    typeNames.forEach((typeName) => {
+      if (!existing.includes(typeName)) {
+        existing.push(typeName);
+      }
+    });
+    analysis.implementations.set(interfaceName, existing);
+  });
+}
+
+// Record structural dependencies from fields onto the types they return, from field
+// arguments onto their input, enum and scalar types, and from input fields onto theirs.
+// These come from the merged model so fields shared by several subgraphs are recorded once.
+function extractFieldTypeDependencies(analysis) {
   analysis.types.forEach((type, typeName) => {
-    // Determine subgraph from schema comments or file path
-    const subgraph = extractSubgraph(schemaContent, filePath);
+    type.fields.forEach((field, fieldName) => {
+      if (field.type && isKnownNamedType(analysis, field.type)) {
+        // This field references another type in the schema
+        analysis.dependencies.push({
+          dependingType: typeName,
+          dependingField: fieldName,
+          dependingSubgraph: "NONE",
+          dependedType: field.type,
+          dependedField: fieldName, // For field type dependencies, the depended field is the same as the depending field
+          directive: "field_type",
+          fieldPath: fieldName,
+          location: field.location,
+        });
+      }
+
+      field.arguments.forEach((arg) => {
+        if (arg.type && isKnownNamedType(analysis, arg.type)) {
+          analysis.dependencies.push({
+            dependingType: typeName,
+            dependingField: fieldName,
+            dependingSubgraph: "NONE",
+            dependedType: arg.type,
+            dependedField: arg.name, // For argument type dependencies, the depended field is the argument
+            directive: "argument_type",
+            fieldPath: `${fieldName}(${arg.name}:)`,
+            argument: arg.name,
+            location: arg.location,
+          });
+        }
+      });
+    });
+  });
+
+  analysis.inputTypes.forEach((input, inputName) => {
+    input.fields.forEach((field, fieldName) => {
+      if (field.type && isKnownNamedType(analysis, field.type)) {
+        analysis.dependencies.push({
+          dependingType: inputName,
+          dependingField: fieldName,
+          dependingSubgraph: "NONE",
+          dependedType: field.type,
+          dependedField: fieldName,
+          directive: "input_field_type",
+          fieldPath: fieldName,
+          location: field.location,
+        });
+      }
+    });
+  });
+}
+
+// Whether a named type is defined in the schema (built-in scalars are not)
+function isKnownNamedType(analysis, typeName) {
+  return (
+    analysis.types.has(typeName) ||
+    analysis.inputTypes.has(typeName) ||
+    analysis.enums.has(typeName) ||
+    analysis.scalars.has(typeName)
+  );
+}
+
+// Analyze dependencies from @key, @requires and @provides directives declared in
+// one subgraph. Field specs are resolved against the merged type model.
+function extractDependencies(analysis, types, subgraph, link) {
+  types.forEach((type, typeName) => {
+    // Report key field sets that are not valid selection sets, and remember where each
+    // key field is written so key dependencies can point at it
+    const keyLocations = new Map();
+    type.directives.forEach((directive) => {
+      const directiveName = getFederationDirectiveName(directive, link);
+      if (directiveName !== "key" && directiveName !== "join__type") return;
+
+      const argument = directiveName === "key" ? "fields" : "key";
+      const keySubgraph = directiveName === "key"
+        ? subgraph
+        : getGraphName(analysis.supergraph, getArgumentValue(directive, "graph"));
+      const keyArg = directive.arguments?.find((arg) => arg.name.value === argument);
+      if (keyArg && keyArg.value.value) {
+        const fieldSetContext = {
+          argument,
+          type: typeName,
+          field: null,
+          subgraph: keySubgraph,
+        };
+        const selections = parseFieldSpecWithDiagnostics(analysis, keyArg.value.value, directive, fieldSetContext);
+        selections.forEach((selection) => {
+          const locationKey = `${keySubgraph}:${selection.path}`;
+          if (!keyLocations.has(locationKey)) {
+            keyLocations.set(locationKey, selection);
+          }
+        });
+        checkKeyFields(analysis, selections, type, directive, fieldSetContext);
+      }
+    });
 
     // Add dependencies for @key fields
-    // Track key fields as dependencies for entity resolution
-    if (type.keyFields.length > 0) {
-      type.keyFields.forEach((keyFieldPath) => {
+    // Track key fields as dependencies for entity resolution. Each key set keeps its own
+    // subgraph, extension flag and resolvability (in a supergraph, from @join__type).
+    const externalKeyFields = new Set();
+    type.keys.forEach((key) => {
+      key.paths.forEach((keyFieldPath) => {
         // For nested key fields like "seller.legacyUserId", extract the top-level field
         const topLevelField = keyFieldPath.split('.')[0];
         const fieldExists = type.fields.has(topLevelField);
+        const keySelection = keyLocations.get(`${key.subgraph}:${keyFieldPath}`);
 
-        // For extensions, create dependencies on key fields from the base type
-        if (type.isExtension) {
+        // For extensions, create dependencies on key fields from the base type. A key
+        // with resolvable: false only references the entity, so nothing is resolved by it.
+        if (key.isExtension && key.resolvable) {
           analysis.dependencies.push({
             dependingType: typeName,
             dependingField: "_entity", // Special field representing entity resolution
-            dependingSubgraph: subgraph,
+            dependingSubgraph: key.subgraph,
             dependedType: typeName,
             dependedField: topLevelField,
             directive: "key",
             fieldPath: keyFieldPath,
+            key: describeKey(key),
+            location: keySelection?.location || type.location,
+            fieldSetOffset: keySelection?.offset,
           });
         }
 
         // If the key field is marked as @external, it's a dependency on another subgraph
-        if (fieldExists) {
+        const externalKey = `${key.subgraph}:${keyFieldPath}`;
+        if (fieldExists && !externalKeyFields.has(externalKey)) {
           const field = type.fields.get(topLevelField);
-          const isExternal = field.directives.some(
-            (d) => d.name.value === "external"
-          );
+          const isExternal =
+            field.directives.some((d) => getFederationDirectiveName(d, link) === "external") ||
+            (field.joinFields || []).some(
+              (joinField) => joinField.graph === key.subgraph && joinField.external
+            );
           if (isExternal) {
+            externalKeyFields.add(externalKey);
             analysis.dependencies.push({
               dependingType: typeName,
               dependingField: topLevelField,
-              dependingSubgraph: subgraph,
+              dependingSubgraph: key.subgraph,
               dependedType: typeName,
               dependedField: topLevelField,
               directive: "external",
               fieldPath: keyFieldPath,
+              key: describeKey(key),
+              location: keySelection?.location || type.location,
+              fieldSetOffset: keySelection?.offset,
             });
           }
         }
       });
-    }
+    });
 
     type.fields.forEach((field, fieldName) => {
-      // First, record the field type dependency
-      if (field.type && analysis.types.has(field.type)) {
-        // This field references another type in the schema
-        analysis.dependencies.push({
-          dependingType: typeName,
-          dependingField: fieldName,
-          dependingSubgraph: "NONE",
-          dependedType: field.type,
-          dependedField: fieldName, // For field type dependencies, the depended field is the same as the depending field
-          directive: "field_type",
-          fieldPath: fieldName,
-        });
-      }
-
       field.directives.forEach((directive) => {
-        const directiveName = directive.name.value;
+        // Canonical federation name, whatever the schema imported or renamed it to
+        const directiveName = getFederationDirectiveName(directive, link);
 
         // Handle Federation v1 style: @requires and @provides as standalone directives
         if (directiveName === "requires" || directiveName === "provides") {
@@ -269,25 +894,40 @@ export async function analyzeSchema(schemaContent, filePath) {
           );
           if (fieldsArg && fieldsArg.value.value) {
             const fieldSpec = fieldsArg.value.value;
-            const dependencies = parseFieldSpec(fieldSpec);
+            const fieldSetContext = {
+              argument: "fields",
+              type: typeName,
+              field: fieldName,
+              subgraph,
+            };
+            const dependencies = parseFieldSpecWithDiagnostics(analysis, fieldSpec, directive, fieldSetContext);
 
             // For @provides, start from field's return type; for @requires, start from current type
             const startType = directiveName === "provides" ? 
               (field.type || typeName) : 
               typeName;
 
+            if (directiveName === "requires") {
+              checkRequiredFieldsExternal(analysis, dependencies, directive, fieldSetContext, (requiredField) =>
+                type.fields.get(requiredField)?.directives.some(
+                  (d) => getFederationDirectiveName(d, link) === "external"
+                )
+              );
+            } else {
+              checkProvidesOnEntity(analysis, field, directive, fieldSetContext);
+            }
+
             dependencies.forEach((dep) => {
-              const resolutions = resolveTypeAndCheckKeyField(
+              const resolutionArray = resolveFieldSetSelection(
+                analysis,
                 dep,
                 type,
                 startType,
-                analysis
+                directive,
+                fieldSetContext
               );
-
-              // Handle multiple resolutions (e.g., when traversing through interfaces)
-              const resolutionArray = Array.isArray(resolutions) ? resolutions : [resolutions];
               
-              resolutionArray.forEach(({ actualType, isKeyField }) => {
+              resolutionArray.forEach(({ actualType, isKeyField, key }) => {
                 analysis.dependencies.push({
                   dependingType: typeName,
                   dependingField: fieldName,
@@ -296,6 +936,11 @@ export async function analyzeSchema(schemaContent, filePath) {
                   dependedField: dep.field,
                   directive: isKeyField ? "key" : directiveName,
                   fieldPath: dep.path,
+                  // Key fields are recorded as "key"; fieldSetDirective keeps the directive selecting them
+                  ...(isKeyField && { key: describeKey(key), fieldSetDirective: directiveName }),
+                  location: dep.location,
+                  fieldSetOffset: dep.offset,
+                  ...(dep.typeCondition && { typeCondition: dep.typeCondition }),
                 });
               });
             });
@@ -308,7 +953,9 @@ export async function analyzeSchema(schemaContent, filePath) {
           const graphArg = directive.arguments?.find(
             (arg) => arg.name.value === "graph"
           );
-          const fieldSubgraph = graphArg ? graphArg.value.value : subgraph;
+          const fieldSubgraph = graphArg
+            ? getGraphName(analysis.supergraph, graphArg.value.value)
+            : subgraph;
 
           // Look for 'requires' argument
           const requiresArg = directive.arguments?.find(
@@ -316,20 +963,31 @@ export async function analyzeSchema(schemaContent, filePath) {
           );
           if (requiresArg && requiresArg.value.value) {
             const fieldSpec = requiresArg.value.value;
-            const dependencies = parseFieldSpec(fieldSpec);
+            const fieldSetContext = {
+              argument: "requires",
+              type: typeName,
+              field: fieldName,
+              subgraph: fieldSubgraph,
+            };
+            const dependencies = parseFieldSpecWithDiagnostics(analysis, fieldSpec, directive, fieldSetContext);
+
+            checkRequiredFieldsExternal(analysis, dependencies, directive, fieldSetContext, (requiredField) =>
+              (type.fields.get(requiredField)?.joinFields || []).some(
+                (joinField) => joinField.graph === fieldSubgraph && joinField.external
+              )
+            );
 
             dependencies.forEach((dep) => {
-              const resolutions = resolveTypeAndCheckKeyField(
+              const resolutionArray = resolveFieldSetSelection(
+                analysis,
                 dep,
                 type,
                 typeName,
-                analysis
+                directive,
+                fieldSetContext
               );
-
-              // Handle multiple resolutions (e.g., when traversing through interfaces)
-              const resolutionArray = Array.isArray(resolutions) ? resolutions : [resolutions];
               
-              resolutionArray.forEach(({ actualType, isKeyField }) => {
+              resolutionArray.forEach(({ actualType, isKeyField, key }) => {
                 analysis.dependencies.push({
                   dependingType: typeName,
                   dependingField: fieldName,
@@ -338,6 +996,10 @@ export async function analyzeSchema(schemaContent, filePath) {
                   dependedField: dep.field,
                   directive: isKeyField ? "key" : "requires",
                   fieldPath: dep.path,
+                  ...(isKeyField && { key: describeKey(key), fieldSetDirective: "requires" }),
+                  location: dep.location,
+                  fieldSetOffset: dep.offset,
+                  ...(dep.typeCondition && { typeCondition: dep.typeCondition }),
                 });
               });
             });
@@ -349,24 +1011,31 @@ export async function analyzeSchema(schemaContent, filePath) {
           );
           if (providesArg && providesArg.value.value) {
             const fieldSpec = providesArg.value.value;
-            const dependencies = parseFieldSpec(fieldSpec);
+            const fieldSetContext = {
+              argument: "provides",
+              type: typeName,
+              field: fieldName,
+              subgraph: fieldSubgraph,
+            };
+            const dependencies = parseFieldSpecWithDiagnostics(analysis, fieldSpec, directive, fieldSetContext);
 
             // For @provides, we need to resolve from the field's return type, not the current type
             const fieldInfo = type.fields.get(fieldName);
             const fieldReturnType = fieldInfo?.type;
 
+            checkProvidesOnEntity(analysis, fieldInfo, directive, fieldSetContext);
+
             dependencies.forEach((dep) => {
-              const resolutions = resolveTypeAndCheckKeyField(
+              const resolutionArray = resolveFieldSetSelection(
+                analysis,
                 dep,
                 type,
                 fieldReturnType || typeName, // Start from field's return type for provides
-                analysis
+                directive,
+                fieldSetContext
               );
-
-              // Handle multiple resolutions (e.g., when traversing through interfaces)
-              const resolutionArray = Array.isArray(resolutions) ? resolutions : [resolutions];
               
-              resolutionArray.forEach(({ actualType, isKeyField }) => {
+              resolutionArray.forEach(({ actualType, isKeyField, key }) => {
                 analysis.dependencies.push({
                   dependingType: typeName,
                   dependingField: fieldName,
@@ -375,77 +1044,334 @@ export async function analyzeSchema(schemaContent, filePath) {
                   dependedField: dep.field,
                   directive: isKeyField ? "key" : "provides",
                   fieldPath: dep.path,
+                  ...(isKeyField && { key: describeKey(key), fieldSetDirective: "provides" }),
+                  location: dep.location,
+                  fieldSetOffset: dep.offset,
+                  ...(dep.typeCondition && { typeCondition: dep.typeCondition }),
                 });
               });
             });
           }
+
+          // Look for 'contextArguments' (supergraph form of @fromContext)
+          const contextArguments = getArgumentValue(directive, "contextArguments") || [];
+          contextArguments.forEach((contextArgument) => {
+            extractContextDependencies(analysis, {
+              typeName,
+              fieldName,
+              subgraph: fieldSubgraph,
+              context: contextArgument.context,
+              argument: contextArgument.name,
+              selection: contextArgument.selection,
+              directive,
+            });
+          });
         }
       });
+
+      // Handle Federation 2.8 @fromContext on field arguments
+      field.arguments.forEach((arg) => {
+        arg.directives
+          .filter((directive) => getFederationDirectiveName(directive, link) === "fromContext")
+          .forEach((directive) => {
+            const value = getArgumentValue(directive, "field") || "";
+            const match = value.match(/^\s*\$([_A-Za-z][_0-9A-Za-z]*)([\s\S]*)$/);
+
+            if (!match) {
+              analysis.diagnostics.push({
+                severity: "error",
+                code: "invalid-context-reference",
+                message: `Invalid @${directive.name.value}(field:) on ${typeName}.${fieldName}(${arg.name}:): expected "$context { selection }"`,
+                directive: "fromContext",
+                argument: "field",
+                type: typeName,
+                field: fieldName,
+                subgraph,
+                location: getNodeLocation(directive),
+              });
+              return;
+            }
+
+            extractContextDependencies(analysis, {
+              typeName,
+              fieldName,
+              subgraph,
+              context: match[1],
+              argument: arg.name,
+              selection: match[2],
+              directive,
+            });
+          });
+      });
     });
   });
+}
 
-  analysis.metadata.totalTypes = analysis.types.size;
-  analysis.metadata.totalDependencies = analysis.dependencies.length;
+// Records which types set each named context with @context(name:)
+function collectContexts(analysis, collected, subgraph, link) {
+  collected.types.forEach((type, typeName) => {
+    type.directives
+      .filter((directive) => getFederationDirectiveName(directive, link) === "context")
+      .forEach((directive) => {
+        const contextName = getArgumentValue(directive, "name");
+        const setters = analysis.contexts.get(contextName) || [];
+        if (!setters.some((setter) => setter.type === typeName && setter.subgraph === subgraph)) {
+          setters.push({ type: typeName, subgraph });
+        }
+        analysis.contexts.set(contextName, setters);
+      });
+  });
+}
 
-  // Convert Maps to objects for JSON serialization
-  const serializableAnalysis = {
-    ...analysis,
-    types: Object.fromEntries(
-      Array.from(analysis.types.entries()).map(([key, value]) => [
-        key,
-        {
-          ...value,
-          fields: Object.fromEntries(value.fields.entries()),
-        },
-      ])
-    ),
-    interfaces: Object.fromEntries(
-      Array.from(analysis.interfaces.entries()).map(([key, value]) => [
-        key,
-        {
-          ...value,
-          fields: Object.fromEntries(value.fields.entries()),
-        },
-      ])
-    ),
-    implementations: Object.fromEntries(analysis.implementations.entries()),
+// Resolves a @fromContext selection against every type that sets the named context.
+// Contexts are scoped to a subgraph, so setters from the same subgraph win when
+// context names are reused across subgraphs.
+function extractContextDependencies(analysis, reference) {
+  const { typeName, fieldName, subgraph, context, argument, selection, directive } = reference;
+  const setters = analysis.contexts.get(context) || [];
+  const localSetters = setters.filter((setter) => setter.subgraph === subgraph);
+  const contextTypes = [
+    ...new Set((localSetters.length > 0 ? localSetters : setters).map((setter) => setter.type)),
+  ];
+
+  if (contextTypes.length === 0) {
+    analysis.diagnostics.push({
+      severity: "error",
+      code: "unknown-context",
+      message: `@fromContext on ${typeName}.${fieldName}(${argument}:) uses context "${context}", which no type sets with @context`,
+      directive: "fromContext",
+      argument: "field",
+      type: typeName,
+      field: fieldName,
+      subgraph,
+      location: getNodeLocation(directive),
+    });
+    return;
+  }
+
+  // The selection may be written with or without its enclosing braces
+  const trimmed = (selection || "").trim();
+  const fieldSpec = trimmed.startsWith("{") && trimmed.endsWith("}") ? trimmed.slice(1, -1) : trimmed;
+  const fieldSetContext = {
+    argument: "field",
+    type: typeName,
+    field: fieldName,
+    subgraph,
   };
+  const dependencies = parseFieldSpecWithDiagnostics(analysis, fieldSpec, directive, fieldSetContext);
+
+  contextTypes.forEach((contextType) => {
+    dependencies.forEach((dep) => {
+      const resolutionArray = resolveFieldSetSelection(
+        analysis,
+        dep,
+        analysis.types.get(contextType),
+        contextType, // Context selections start from the type that sets the context
+        directive,
+        fieldSetContext
+      );
 
-  // Save to cache
-  await saveCache(filePath, serializableAnalysis);
+      resolutionArray.forEach(({ actualType }) => {
+        analysis.dependencies.push({
+          dependingType: typeName,
+          dependingField: fieldName,
+          dependingSubgraph: subgraph,
+          dependedType: actualType,
+          dependedField: dep.field,
+          directive: "fromContext",
+          fieldPath: dep.path,
+          location: dep.location,
+          fieldSetOffset: dep.offset,
+          context,
+          argument,
+          ...(dep.typeCondition && { typeCondition: dep.typeCondition }),
+        });
+      });
+    });
+  });
+}
 
-  return serializableAnalysis;
+// Parses a directive's field set, recording a diagnostic that points at the directive
+// when the field set is not a valid selection set.
+function parseFieldSpecWithDiagnostics(analysis, fieldSpec, directive, context) {
+  const { selections, error } = parseFieldSet(fieldSpec);
+
+  if (error) {
+    const target = context.field ? `${context.type}.${context.field}` : context.type;
+    analysis.diagnostics.push({
+      severity: "error",
+      code: "invalid-field-set",
+      message: `Invalid field set in @${directive.name.value}(${context.argument}:) on ${target}: ${error.message}`,
+      directive: directive.name.value,
+      argument: context.argument,
+      type: context.type,
+      field: context.field,
+      subgraph: context.subgraph,
+      fieldSet: fieldSpec,
+      fieldSetOffset: error.offset,
+      location: getNodeLocation(directive),
+    });
+  }
+
+  return selections.map((selection) => ({
+    ...selection,
+    location: getFieldSetLocation(directive, context.argument, fieldSpec, selection.offset),
+  }));
 }
 
-function parseFieldSpec(fieldSpec) {
-  const dependencies = [];
-  const tokens = tokenizeFieldSpec(fieldSpec);
-  let currentPath = [];
-
-  for (let i = 0; i < tokens.length; i++) {
-    const token = tokens[i];
-
-    if (token === "{") {
-      // Entering nested selection - path already has the field
-    } else if (token === "}") {
-      // Exiting nested selection
-      currentPath.pop();
-    } else {
-      // Field name
-      currentPath.push(token);
-      dependencies.push({
-        field: token,
-        path: [...currentPath].join("."),
+// Resolves a field set selection against the merged model, recording a diagnostic
+// when a path segment does not exist or selects subfields of a leaf type. The
+// dependency is still attributed to the type the path reached.
+function resolveFieldSetSelection(analysis, dep, currentType, startType, directive, context) {
+  const resolutions = resolveTypeAndCheckKeyField(dep, currentType, startType, analysis, context.subgraph);
+
+  // Handle multiple resolutions (e.g., when traversing through interfaces)
+  const resolutionArray = Array.isArray(resolutions) ? resolutions : [resolutions];
+
+  resolutionArray
+    .filter((resolution) => resolution.problem)
+    .forEach(({ problem }) => {
+      const target = context.field ? `${context.type}.${context.field}` : context.type;
+      const messages = {
+        "selection-on-leaf": `${problem.type} is a leaf type, so "${problem.field}" cannot be selected from it`,
+        "unknown-type": problem.typeCondition
+          ? `type condition "... on ${problem.type}" names a type that is not defined in the analyzed schemas`
+          : `${problem.type} is not defined in the analyzed schemas`,
+        "unknown-field": `${problem.type} has no field "${problem.field}"`,
+      };
+
+      analysis.diagnostics.push({
+        severity: problem.severity,
+        code: problem.code,
+        message: `Field set "${dep.path}" in @${directive.name.value}(${context.argument}:) on ${target}: ${messages[problem.code]}`,
+        directive: directive.name.value,
+        argument: context.argument,
+        type: context.type,
+        field: context.field,
+        subgraph: context.subgraph,
+        fieldSet: dep.path,
+        fieldSetOffset: dep.offset,
+        location: dep.location,
       });
+    });
 
-      // Check if next token is not '{', meaning this field doesn't have nested selections
-      if (i + 1 >= tokens.length || tokens[i + 1] !== "{") {
-        currentPath.pop();
+  return resolutionArray.filter((resolution) => !resolution.dropped);
+}
+
+// Reports @key fields that the type does not declare. Nested key fields are checked
+// against the merged model like any other field set.
+function checkKeyFields(analysis, selections, type, directive, context) {
+  selections.forEach((selection) => {
+    const topLevelField = selection.path.split(".")[0];
+
+    if (!type.fields.has(topLevelField)) {
+      if (topLevelField === selection.path) {
+        analysis.diagnostics.push({
+          severity: "error",
+          code: "missing-key-field",
+          message: `@${directive.name.value}(${context.argument}: "${selection.path}") on ${context.type}: ${context.type} has no field "${topLevelField}"`,
+          directive: directive.name.value,
+          argument: context.argument,
+          type: context.type,
+          field: null,
+          subgraph: context.subgraph,
+          fieldSet: selection.path,
+          fieldSetOffset: selection.offset,
+          location: selection.location,
+        });
       }
+      return;
     }
+
+    if (selection.path !== topLevelField) {
+      resolveFieldSetSelection(analysis, selection, type, context.type, directive, context);
+    }
+  });
+}
+
+// Reports top-level @requires fields that are not @external in the requiring subgraph
+function checkRequiredFieldsExternal(analysis, selections, directive, context, isExternal) {
+  selections
+    .filter((selection) => !selection.path.includes("."))
+    .filter((selection) => !isExternal(selection.field))
+    .forEach((selection) => {
+      analysis.diagnostics.push({
+        severity: "error",
+        code: "requires-not-external",
+        message: `@${directive.name.value} on ${context.type}.${context.field} requires "${selection.field}", which is not marked @external in subgraph ${context.subgraph}`,
+        directive: directive.name.value,
+        argument: context.argument,
+        type: context.type,
+        field: context.field,
+        subgraph: context.subgraph,
+        fieldSet: selection.path,
+        fieldSetOffset: selection.offset,
+        location: selection.location,
+      });
+    });
+}
+
+// Reports @provides on a field whose return type is not an entity (has no @key).
+// For interfaces and unions every possible type must be an entity.
+function checkProvidesOnEntity(analysis, field, directive, context) {
+  const returnType = field?.type;
+  const typeInfo = analysis.types.get(returnType);
+  const isLeaf =
+    BUILT_IN_SCALARS.includes(returnType) ||
+    analysis.scalars.has(returnType) ||
+    analysis.enums.has(returnType);
+
+  // Types defined outside the analyzed schemas are reported while resolving the field set
+  if (!typeInfo && !isLeaf) return;
+
+  const isEntity = (typeName) => analysis.types.get(typeName)?.keyFields?.length > 0;
+  const possibleTypes = typeInfo?.isInterface || typeInfo?.isUnion
+    ? getPossibleTypes(returnType, analysis)
+    : [returnType];
+  if (possibleTypes.length > 0 && (isEntity(returnType) || possibleTypes.every(isEntity))) return;
+
+  analysis.diagnostics.push({
+    severity: "error",
+    code: "provides-on-non-entity",
+    message: `@${directive.name.value} on ${context.type}.${context.field}: return type ${returnType} is not an entity (it has no @key)`,
+    directive: directive.name.value,
+    argument: context.argument,
+    type: context.type,
+    field: context.field,
+    subgraph: context.subgraph,
+    location: getNodeLocation(directive),
+  });
+}
+
+// Points at a selection inside a directive's field set string. Falls back to the
+// directive itself when the string doesn't map one-to-one onto the source text
+// (block strings, escape sequences, list values such as contextArguments).
+function getFieldSetLocation(directive, argumentName, fieldSpec, offset) {
+  const valueNode = directive.arguments?.find((arg) => arg.name.value === argumentName)?.value;
+  const loc = valueNode?.loc;
+  if (!loc || valueNode.block || offset === null || offset === undefined) {
+    return getNodeLocation(directive);
+  }
+
+  const raw = loc.source.body.slice(loc.start + 1, loc.end - 1);
+  const start = raw === valueNode.value ? raw.indexOf(fieldSpec) : -1;
+  if (start === -1) {
+    return getNodeLocation(directive);
   }
 
-  return dependencies;
+  const { line, column } = getLocation(loc.source, loc.start + 1 + start + offset);
+  return { file: loc.source.name, line, column };
+}
+
+// Returns the file, line and column where an AST node starts
+export function getNodeLocation(node) {
+  if (!node?.loc) return null;
+
+  return {
+    file: node.loc.source.name,
+    line: node.loc.startToken.line,
+    column: node.loc.startToken.column,
+  };
 }
 
 // Resolves the full type path for a field selection path
@@ -512,50 +1438,31 @@ function isInterfaceType(typeName, schema) {
   return typeInfo && typeInfo.isInterface === true;
 }
 
-function tokenizeFieldSpec(fieldSpec) {
-  const tokens = [];
-  let current = "";
-
-  for (const char of fieldSpec) {
-    if (char === "{" || char === "}") {
-      if (current.trim()) {
-        // Split by spaces but keep '...' as a single token
-        const parts = current.trim().split(/\s+/);
-        parts.forEach((part) => {
-          if (part !== "...") {
-            tokens.push(part);
-          }
-        });
-        current = "";
-      }
-      tokens.push(char);
-    } else if (char === " " || char === "\n" || char === "\t") {
-      if (current.trim()) {
-        // Skip '...' tokens as they represent field selections we handle elsewhere
-        if (current.trim() !== "...") {
-          tokens.push(current.trim());
-        }
-        current = "";
-      }
-    } else {
-      current += char;
+// Names the subgraph of each source. Sources whose file names share a prefix, such as
+// reviews-api.graphql and reviews-legacy.graphql, are named after their whole file
+// names instead; sources that still share a name would be merged, so they are an error.
+function nameSubgraphs(sources) {
+  const names = sources.map((source) => extractSubgraph(source.content, source.filePath));
+  const isShared = (name) => names.filter((other) => other === name).length > 1;
+
+  const resolved = sources.map((source, index) =>
+    isShared(names[index]) ? extractSubgraph(source.content, source.filePath, { fullName: true }) : names[index]
+  );
+
+  resolved.forEach((name, index) => {
+    const first = resolved.indexOf(name);
+    if (first !== index) {
+      throw new Error(
+        `${sources[first].filePath} and ${sources[index].filePath} are both subgraph "${name}". ` +
+          `Rename one, or name it with a "# Subgraph: <name>" comment`
+      );
     }
-  }
-
-  if (current.trim()) {
-    // Split by spaces but filter out '...'
-    const parts = current.trim().split(/\s+/);
-    parts.forEach((part) => {
-      if (part !== "...") {
-        tokens.push(part);
-      }
-    });
-  }
+  });
 
-  return tokens;
+  return resolved;
 }
 
-function extractSubgraph(schemaContent, filePath) {
+function extractSubgraph(schemaContent, filePath, options = {}) {
   // Try to extract subgraph name from comments
   const subgraphComment = schemaContent.match(/#\s*Subgraph:\s*(\S+)/i);
   if (subgraphComment) {
@@ -566,6 +1473,10 @@ function extractSubgraph(schemaContent, filePath) {
   const pathParts = filePath.split(/[/\\]/);
   const fileName = pathParts[pathParts.length - 1];
 
+  if (options.fullName) {
+    return fileName.replace(/\.[^.]+$/, "");
+  }
+
   // Common patterns: products.graphql, products-schema.graphql, etc.
   const match = fileName.match(/^([^.-]+)/);
   if (match) {
@@ -575,14 +1486,73 @@ function extractSubgraph(schemaContent, filePath) {
   return "unknown";
 }
 
-function extractKeyFields(directives) {
+// Models each @key (or @join__type key) of a type as its own key set, so alternative
+// keys such as "id" and "sku package" stay apart and keep their subgraph and resolvability
+function collectKeySets(collected, subgraph, link) {
+  collected.types.forEach((type) => {
+    const declarations = type.joinTypes?.length > 0
+      ? type.joinTypes
+          .filter((joinType) => joinType.key)
+          .map((joinType) => ({
+            fields: joinType.key,
+            subgraph: joinType.graph,
+            resolvable: joinType.resolvable,
+            isExtension: joinType.extension,
+          }))
+      : type.directives
+          .filter((directive) => getFederationDirectiveName(directive, link) === "key")
+          .map((directive) => ({
+            fields: getArgumentValue(directive, "fields"),
+            subgraph,
+            resolvable: getArgumentValue(directive, "resolvable") !== false,
+            isExtension: type.isExtension,
+          }));
+
+    type.keys = [];
+    declarations
+      .filter((declaration) => declaration.fields)
+      .forEach((declaration) => {
+        addKeySet(type.keys, {
+          ...declaration,
+          paths: parseFieldSet(declaration.fields).selections.map((selection) => selection.path),
+        });
+      });
+  });
+}
+
+// Adds a key set unless the same subgraph already declares one with the same fields
+function addKeySet(keys, key) {
+  const isSameKey = (existing) =>
+    existing.subgraph === key.subgraph && existing.paths.join(" ") === key.paths.join(" ");
+  if (!keys.some(isSameKey)) {
+    keys.push(key);
+  }
+}
+
+// The part of a key set recorded on the dependencies that use it
+function describeKey(key) {
+  return { fields: key.fields, subgraph: key.subgraph, resolvable: key.resolvable };
+}
+
+// Returns the key set a field path is part of, preferring keys declared by the given
+// subgraph, or null when the path is not a key field
+function findKeyForPath(typeInfo, fieldPath, targetField, subgraph) {
+  const matchingKeys = (typeInfo?.keys || []).filter((key) =>
+    isKeyFieldPath({ keyFields: key.paths }, fieldPath, targetField)
+  );
+
+  return matchingKeys.find((key) => key.subgraph === subgraph) || matchingKeys[0] || null;
+}
+
+function extractKeyFields(directives, link) {
   const keyFields = [];
 
   if (!directives) return keyFields;
 
   directives.forEach((directive) => {
     // Handle both Federation v1 (@key) and v2 (@join__type) styles
-    if (directive.name.value === "key" || directive.name.value === "join__type") {
+    const directiveName = getFederationDirectiveName(directive, link);
+    if (directiveName === "key" || directiveName === "join__type") {
       // For @key, the argument is "fields"; for @join__type, it's "key"
       const keyArg = directive.arguments?.find(
         (arg) => arg.name.value === "fields" || arg.name.value === "key"
@@ -590,7 +1560,7 @@ function extractKeyFields(directives) {
       if (keyArg && keyArg.value.value) {
         // Parse the key field specification using the same logic as @requires/@provides
         const keySpec = keyArg.value.value;
-        const parsed = parseFieldSpec(keySpec);
+        const parsed = parseFieldSet(keySpec).selections;
         
         // Extract all field paths from the parsed specification
         parsed.forEach(dep => {
@@ -603,6 +1573,29 @@ function extractKeyFields(directives) {
   return keyFields;
 }
 
+function extractArguments(field) {
+  return (field.arguments || []).map((arg) => ({
+    name: arg.name.value,
+    type: extractFieldType(arg.type),
+    isListType: isListType(arg.type),
+    isNonNullType: isNonNullType(arg.type),
+    defaultValue: arg.defaultValue ? print(arg.defaultValue) : null,
+    directives: arg.directives || [],
+    location: getNodeLocation(arg),
+  }));
+}
+
+// Compares "2.3"-style version strings; null sorts before any version
+function compareVersions(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+
+  const [aMajor, aMinor = 0] = a.split(".").map(Number);
+  const [bMajor, bMinor = 0] = b.split(".").map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
 function extractFieldType(typeNode) {
   if (!typeNode) return null;
 
@@ -640,110 +1633,177 @@ function isNonNullType(typeNode) {
   return typeNode.kind === "NonNullType";
 }
 
-function resolveTypeAndCheckKeyField(dep, currentType, typeName, analysis) {
+function resolveTypeAndCheckKeyField(dep, currentType, typeName, analysis, subgraph) {
   const fieldPath = dep.path;
   const pathParts = fieldPath.split('.');
   const targetField = pathParts[pathParts.length - 1];
   
-  // Simple approach: traverse the path to find what type contains the target field
-  let currentPosition = typeName;
+  // Traverse the path to find what types contain the target field. Interfaces and
+  // unions fan out to every implementation or member that has the selected field.
+  let positions = [typeName];
+  let problem = null;
+  
+  const pathConditions = dep.pathConditions || [];
   
   // Traverse all fields except the last one (which is our target)
   for (let i = 0; i < pathParts.length - 1; i++) {
     const fieldName = pathParts[i];
-    const typeInfo = analysis.types.get(currentPosition);
+    const nextPositions = [];
     
-    if (!typeInfo) {
-      // Type not found - can't continue
+    // An inline fragment narrows the selection to the type it names
+    positions = narrowToTypeCondition(positions, pathConditions[i], analysis);
+    if (!positions) {
+      return unknownTypeCondition(pathConditions[i], fieldName);
+    }
+    problem = findPathProblem(positions, fieldName, analysis);
+    if (problem) {
       break;
     }
     
-    let fieldInfo = typeInfo.fields.get(fieldName);
-    
-    // If field not found on current type, check if it's an interface
-    if (!fieldInfo && typeInfo.isInterface) {
-      // Check all implementations to find one that has this field
-      const implementations = analysis.implementations.get(currentPosition) || [];
-      
-      for (const implTypeName of implementations) {
-        const implType = analysis.types.get(implTypeName);
-        if (implType && implType.fields.has(fieldName)) {
-          // Found the field on an implementation
-          fieldInfo = implType.fields.get(fieldName);
-          // Use the field's type for next iteration
-          break;
+    positions.forEach((position) => {
+      getTypesWithField(position, fieldName, analysis).forEach((ownerName) => {
+        // Move to the field's type for next iteration
+        const fieldType = analysis.types.get(ownerName).fields.get(fieldName).type;
+        if (!nextPositions.includes(fieldType)) {
+          nextPositions.push(fieldType);
         }
-      }
-    }
+      });
+    });
     
-    if (!fieldInfo) {
+    if (nextPositions.length === 0) {
       // Field not found anywhere - stop here
       break;
     }
     
-    // Move to the field's type for next iteration
-    currentPosition = fieldInfo.type;
+    positions = nextPositions;
   }
   
-  // currentPosition should now be the type that contains our target field
-  const parentType = analysis.types.get(currentPosition);
-  
-  // Verify the target field exists on this type
-  if (parentType && !parentType.fields.has(targetField)) {
-    // If it's an interface, check implementations
-    if (parentType.isInterface) {
-      const implementations = analysis.implementations.get(currentPosition) || [];
-      const results = [];
-      
-      for (const implTypeName of implementations) {
-        const implType = analysis.types.get(implTypeName);
-        if (implType && implType.fields.has(targetField)) {
-          const isKeyField = implType.keyFields &&
-            implType.keyFields.some(keyFieldPath => {
-              if (keyFieldPath === targetField) return true;
-              if (fieldPath.endsWith(keyFieldPath)) {
-                const pathBefore = fieldPath.substring(0, fieldPath.length - keyFieldPath.length);
-                return pathBefore === '' || pathBefore.endsWith('.');
-              }
-              return false;
-            });
-          
-          results.push({
-            actualType: implTypeName,
-            isKeyField: isKeyField || false,
-            typeResolutionChain: [],
-          });
-        }
-      }
-      
-      if (results.length > 0) {
-        return results;
-      }
-    }
+  // positions should now hold the types that contain our target field
+  positions = narrowToTypeCondition(positions, pathConditions[pathParts.length - 1], analysis);
+  if (!positions) {
+    return unknownTypeCondition(pathConditions[pathParts.length - 1], targetField);
   }
-  
-  // Check if the field path matches any key field
-  // For nested key fields, we need to check if the full path matches
-  const isKeyField = parentType &&
-    parentType.keyFields &&
-    parentType.keyFields.some(keyFieldPath => {
-      // Simple case: exact match (e.g., "id" matches "id")
-      if (keyFieldPath === targetField) return true;
-      
-      // Check if the dependency path ends with the key field path
-      // This handles cases where the full path matches a nested key field
-      if (fieldPath.endsWith(keyFieldPath)) {
-        // Make sure it's a proper match (not just substring)
-        const pathBefore = fieldPath.substring(0, fieldPath.length - keyFieldPath.length);
-        return pathBefore === '' || pathBefore.endsWith('.');
+  problem = problem || findPathProblem(positions, targetField, analysis);
+  const results = [];
+  positions.forEach((position) => {
+    getTypesWithField(position, targetField, analysis).forEach((ownerName) => {
+      if (!results.some((result) => result.actualType === ownerName)) {
+        const key = findKeyForPath(analysis.types.get(ownerName), fieldPath, targetField, subgraph);
+        results.push({
+          actualType: ownerName,
+          isKeyField: Boolean(key),
+          key,
+          typeResolutionChain: [],
+        });
       }
-      
-      return false;
     });
+  });
+  
+  if (results.length > 0) {
+    return results.length === 1 ? results[0] : results;
+  }
   
+  // The target field could not be found - attribute it to the type we reached
+  const key = findKeyForPath(analysis.types.get(positions[0]), fieldPath, targetField, subgraph);
   return {
-    actualType: currentPosition,
-    isKeyField: isKeyField || false,
+    actualType: positions[0],
+    isKeyField: Boolean(key),
+    key,
     typeResolutionChain: [],
+    problem,
   };
 }
+
+// Explains why a field cannot be selected from the types a path has reached: they are
+// leaf types (scalars, enums), types the analyzed schemas don't define, or none of
+// them has the field
+function findPathProblem(positions, fieldName, analysis) {
+  if (positions.length > 0 && positions.every((position) => !analysis.types.has(position))) {
+    const isLeaf = positions.every(
+      (position) =>
+        BUILT_IN_SCALARS.includes(position) ||
+        analysis.scalars.has(position) ||
+        analysis.enums.has(position)
+    );
+    // A partial schema may reference types defined elsewhere, so those are only warnings
+    return isLeaf
+      ? { code: "selection-on-leaf", severity: "error", type: positions[0], field: fieldName }
+      : { code: "unknown-type", severity: "warning", type: positions[0], field: fieldName };
+  }
+  if (!positions.some((position) => getTypesWithField(position, fieldName, analysis).length > 0)) {
+    return { code: "unknown-field", severity: "error", type: positions.join(" | "), field: fieldName };
+  }
+  return null;
+}
+
+// Returns null when the type condition names a type the schemas don't define
+function narrowToTypeCondition(positions, typeCondition, analysis) {
+  if (!typeCondition) {
+    return positions;
+  }
+  return analysis.types.has(typeCondition) ? [typeCondition] : null;
+}
+
+// A selection under an unknown type condition can't be attributed to any type, so it
+// is dropped rather than fanned out to every member
+function unknownTypeCondition(typeCondition, fieldName) {
+  return {
+    dropped: true,
+    problem: { code: "unknown-type", severity: "warning", type: typeCondition, field: fieldName, typeCondition: true },
+  };
+}
+
+// Returns the types that declare a field: the type itself, or for interfaces and
+// unions, every implementation or member that has it.
+function getTypesWithField(typeName, fieldName, analysis) {
+  const typeInfo = analysis.types.get(typeName);
+  
+  if (!typeInfo) {
+    return [];
+  }
+  
+  if (typeInfo.fields.has(fieldName)) {
+    return [typeName];
+  }
+  
+  if (typeInfo.isInterface || typeInfo.isUnion) {
+    return getPossibleTypes(typeName, analysis).filter((possibleType) =>
+      analysis.types.get(possibleType)?.fields.has(fieldName)
+    );
+  }
+  
+  return [];
+}
+
+function getPossibleTypes(typeName, analysis) {
+  const typeInfo = analysis.types.get(typeName);
+  
+  if (typeInfo?.isUnion) {
+    return analysis.unions.get(typeName)?.members || [];
+  }
+  
+  return analysis.implementations.get(typeName) || [];
+}
+
+// Check if the field path matches any key field of the type
+// For nested key fields, we need to check if the full path matches
+function isKeyFieldPath(typeInfo, fieldPath, targetField) {
+  if (!typeInfo || !typeInfo.keyFields) {
+    return false;
+  }
+  
+  return typeInfo.keyFields.some(keyFieldPath => {
+    // Simple case: exact match (e.g., "id" matches "id")
+    if (keyFieldPath === targetField) return true;
+    
+    // Check if the dependency path ends with the key field path
+    // This handles cases where the full path matches a nested key field
+    if (fieldPath.endsWith(keyFieldPath)) {
+      // Make sure it's a proper match (not just substring)
+      const pathBefore = fieldPath.substring(0, fieldPath.length - keyFieldPath.length);
+      return pathBefore === '' || pathBefore.endsWith('.');
+    }
+    
+    return false;
+  });
+}
@@ -0,0 +1,111 @@
+import fs from "fs-extra";
+import path from "path";
+import { analyzeSchemas, collectSchemaSources, getSourcesCachePath } from "./analyzer.js";
+import { getCache, getMostRecentCache } from "./cache.js";
+import { parseFieldReference } from "./query.js";
+import { getResolvingSubgraphs } from "./graph.js";
+import { describeDependencies, dependencyId } from "./diff.js";
+
+export const DEFAULT_BASELINE_FILE = "fgq-baseline.json";
+
+const BASELINE_VERSION = 1;
+
+// Analyzes the given schema files in memory, leaving the cache as it is, or loads a
+// cached analysis when there are none
+export async function loadBaselineAnalysis(schemaFiles = [], options = {}) {
+  if (schemaFiles.length > 0) {
+    const sources = await collectSchemaSources(schemaFiles);
+    return analyzeSchemas(sources, getSourcesCachePath(schemaFiles), { cache: false });
+  }
+
+  if (options.schema) {
+    return getCache(options.schema);
+  }
+  return getMostRecentCache();
+}
+
+// The @requires, @provides, @key, @external and @fromContext dependencies of an
+// analysis as baseline entries, sorted so the file only changes when they do. Source
+// locations are left out for the same reason. Justifications of entries already in
+// the previous baseline are kept.
+export function buildBaseline(analysis, previous = null) {
+  const justifications = new Map(
+    (previous?.dependencies || [])
+      .filter((entry) => entry.justification)
+      .map((entry) => [dependencyId(entry), entry.justification])
+  );
+
+  const dependencies = [...describeDependencies(analysis).values()]
+    .map((dep) => ({
+      directive: dep.directive,
+      subgraph: dep.subgraph,
+      depending: dep.depending,
+      depended: dep.depended,
+      fieldPath: dep.fieldPath,
+      crossSubgraph: isCrossSubgraph(analysis, dep),
+      ...(justifications.has(dependencyId(dep)) && { justification: justifications.get(dependencyId(dep)) }),
+    }))
+    .sort(compareEntries);
+
+  return { version: BASELINE_VERSION, dependencies };
+}
+
+export async function readBaseline(file) {
+  const baselinePath = path.resolve(file);
+  if (!(await fs.pathExists(baselinePath))) {
+    throw new Error(`Baseline file not found: ${file}. Run "fgq baseline write" to create it.`);
+  }
+
+  const baseline = await fs.readJson(baselinePath);
+  if (!Array.isArray(baseline.dependencies)) {
+    throw new Error(`Invalid baseline file: ${file} has no "dependencies" list`);
+  }
+  return baseline;
+}
+
+// Writes the baseline of an analysis, keeping the justifications of an existing file
+export async function writeBaseline(file, analysis) {
+  const baselinePath = path.resolve(file);
+  const previous = (await fs.pathExists(baselinePath)) ? await readBaseline(file) : null;
+  const baseline = buildBaseline(analysis, previous);
+
+  await fs.writeJson(baselinePath, baseline, { spaces: 2 });
+  return baseline;
+}
+
+// Compares an analysis with a baseline. Dependencies not in the baseline are `added`,
+// baseline entries no longer found are `removed`, and `unjustified` lists the baseline
+// entries without a justification.
+export function checkBaseline(analysis, baseline) {
+  const current = buildBaseline(analysis).dependencies;
+  const currentIds = new Set(current.map(dependencyId));
+  const baselineIds = new Set(baseline.dependencies.map(dependencyId));
+  const locations = describeDependencies(analysis);
+
+  return {
+    added: current
+      .filter((entry) => !baselineIds.has(dependencyId(entry)))
+      .map((entry) => ({ ...entry, location: locations.get(dependencyId(entry))?.location || null })),
+    removed: baseline.dependencies.filter((entry) => !currentIds.has(dependencyId(entry))),
+    unjustified: baseline.dependencies.filter((entry) => !entry.justification),
+  };
+}
+
+// A dependency couples subgraphs when its subgraph doesn't resolve the field it depends on
+function isCrossSubgraph(analysis, dep) {
+  const { type, field } = parseFieldReference(dep.depended);
+  const resolving = getResolvingSubgraphs(analysis, type, field);
+  return resolving.length > 0 && !resolving.includes(dep.subgraph);
+}
+
+// Plain code-unit order, which unlike localeCompare doesn't vary between machines
+function compareEntries(a, b) {
+  const compare = (x, y) => (String(x) < String(y) ? -1 : String(x) > String(y) ? 1 : 0);
+  return (
+    compare(a.directive, b.directive) ||
+    compare(a.subgraph, b.subgraph) ||
+    compare(a.depending, b.depending) ||
+    compare(a.depended, b.depended) ||
+    compare(a.fieldPath, b.fieldPath)
+  );
+}
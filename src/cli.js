@@ -1,22 +1,63 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
-import { analyzeSchema } from './analyzer.js';
-import { queryDependencies } from './query.js';
+import { analyzeSchemas, collectSchemaSources, getSourcesCachePath, hasSameSources } from './analyzer.js';
+import {
+  queryDependencies,
+  queryFieldDependencies,
+  queryDependencyPaths,
+  queryCycles,
+  querySubgraphs,
+  queryFederationDirectives,
+  queryDiagnostics,
+  sortDiagnostics,
+  formatLocation,
+} from './query.js';
+import { queryImpact, formatImpactReport, CHANGE_KINDS } from './impact.js';
+import { analyzeOperations, collectOperationSources } from './operations.js';
+import { planOperations, formatPlan } from './plan.js';
+import { diffSchemas, formatSchemaDiff } from './diff.js';
+import {
+  loadBaselineAnalysis,
+  writeBaseline,
+  readBaseline,
+  checkBaseline,
+  DEFAULT_BASELINE_FILE,
+} from './baseline.js';
+import { queryPolicyViolations } from './policy.js';
+import { queryMetrics, formatMetricsTables } from './metrics.js';
+import { queryExportGraph, formatExportGraph, EXPORT_FORMATS, EXPORT_LEVELS } from './export.js';
+import { queryReportData, renderHtmlReport } from './report.js';
 import { getCache, hasCache } from './cache.js';
 import fs from 'fs-extra';
 import path from 'path';
 
 const program = new Command();
 
+function parseDepth(value) {
+  const depth = parseInt(value, 10);
+  if (Number.isNaN(depth) || depth < 1) {
+    throw new InvalidArgumentError('Depth must be a positive number.');
+  }
+  return depth;
+}
+
+function parseTop(value) {
+  const top = parseInt(value, 10);
+  if (Number.isNaN(top) || top < 1) {
+    throw new InvalidArgumentError('Number of hotspots must be a positive number.');
+  }
+  return top;
+}
+
 program
   .name('fgq')
   .description('Analyze Federated GraphQL schemas for field dependencies')
   .version('1.0.0')
   .addHelpText('after', `
 Commands:
-  analyze <schema-file> [options]  Analyze a GraphQL schema file
+  analyze <schema-files...>        Analyze a schema file, or several subgraph files / a directory
     -f, --force                    Force re-analysis even if cache exists
 
   query <type> [options]           Query dependencies for a type
@@ -24,9 +65,101 @@ Commands:
     -s, --schema <file>            Use specific schema file (default: most recent)
     -j, --json                     Output as JSON
     -d, --direct                   Show only direct dependencies
+    --depth <n>                    Follow transitive dependencies at most n hops deep
     -c, --count                    Show only the count of dependencies
     -i, --include-same-type        Include dependencies from same type
 
+  deps <Type.field> [options]      Query what a field (or every field of a type) depends on
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+    -d, --direct                   Show only direct dependencies
+    --depth <n>                    Follow transitive dependencies at most n hops deep
+    --top-level                    Show only fields named at the top level of field sets
+    -c, --count                    Show only the count of dependencies
+
+  path <from> <to> [options]       Show the dependency chains from one field or type to another
+    -a, --all                      Show every path, not only the shortest
+    --max-depth <n>                Longest chain to look for (default: 10)
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+
+  cycles [options]                 Find dependency cycles between fields and between subgraphs
+    -l, --level <level>            Only field or subgraph cycles
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+
+  impact <Type.field> [options]    Report what breaks when a field is removed or changed
+    --change <kind>                remove (default), retype or nullable
+    --owners <file>                JSON file mapping subgraph names to teams
+    --depth <n>                    Follow transitive dependents at most n hops deep
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+
+  operations <paths...> [options]  Report subgraphs, @requires and @provides per client operation
+    --requires <Type.field>        Only operations that pull in this field through @requires
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+
+  plan <paths...> [options]        Simulate the subgraph fetches a router would make for operations
+    -o, --operation <name>         Only plan the named operation
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+
+  diff <old> <new> [options]       Compare types, fields, key sets and dependencies of two schemas
+    -j, --json                     Output as JSON
+
+  baseline write [schema-files...] Save the current dependencies to a baseline file
+    -f, --file <file>              Baseline file (default: fgq-baseline.json)
+    -s, --schema <file>            Use specific schema file (default: most recent)
+
+  baseline check [schema-files...] Fail when dependencies were added since the baseline
+    -f, --file <file>              Baseline file (default: fgq-baseline.json)
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+    --fail-on-removed              Also fail when baseline dependencies were removed
+    --require-justification        Also fail when baseline entries have no justification
+
+  policy check [options]           Check dependencies against the allow/deny rules of a policy file
+    -p, --policy <file>            Policy file (default: .fgqlpolicy.json, .yaml or .yml)
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+    --strict                       Also exit non-zero on warnings
+
+  metrics [options]                Subgraph fan-in/fan-out, coupling matrix, hotspots and instability
+    -d, --directive <name>         Only count dependencies through this directive
+    -t, --top <n>                  Number of hotspots to list (default: 10)
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+
+  export [options]                 Export the dependency graph for Graphviz, Mermaid and other tools
+    --format <format>              dot (default), mermaid, graphml or cytoscape
+    -l, --level <level>            field (default), type or subgraph
+    --around <type>                Only the neighborhood of a type
+    --depth <n>                    Neighborhood size in hops (default: 1)
+    -d, --directive <name>         Only dependencies through this directive
+    -o, --output <file>            Write to a file instead of stdout
+    -s, --schema <file>            Use specific schema file (default: most recent)
+
+  report --html <file> [options]   Write a self-contained HTML report for architecture reviews
+    --title <title>                Report title
+    -s, --schema <file>            Use specific schema file (default: most recent)
+
+  subgraphs [options]              List subgraphs with their URLs, types and keys
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+
+  directives [options]             List Federation 2 directives (@override, @shareable, ...)
+    -o, --only <directive>         Only override, shareable, inaccessible, tag or interfaceObject
+    -t, --tag <name>               Only entries with this @tag
+    -s, --schema <file>            Use specific schema file (default: most recent)
+    -j, --json                     Output as JSON
+    -c, --count                    Show only the count of entries
+
+  validate [schema-files...]       Report broken field sets and federation directive misuse
+    -s, --schema <file>            Validate a cached analysis (default: most recent)
+    -j, --json                     Output as JSON
+    --strict                       Also exit non-zero on warnings
+
   list                             List all analyzed schemas
 
   clear                            Clear all cached analyses
@@ -34,53 +167,93 @@ Commands:
 Examples:
   $ fgq analyze schema.graphql
   $ fgq analyze schema.graphql --force
+  $ fgq analyze ./subgraphs/
   $ fgq query Product
   $ fgq query Item --field watchCount
   $ fgq query Product --json
   $ fgq query Product -s myschema.graphql
+  $ fgq deps Review.isGoodValue
+  $ fgq path Cart.total Product.inStock
+  $ fgq cycles
+  $ fgq impact Product.price --change retype
+  $ fgq operations ./ops/
+  $ fgq plan checkout.graphql
+  $ fgq diff old/ new/
+  $ fgq baseline check ./subgraphs/
+  $ fgq policy check
+  $ fgq metrics --directive requires
+  $ fgq export --level subgraph | dot -Tsvg > subgraphs.svg
+  $ fgq report --html report.html
+  $ fgq validate ./subgraphs/
 
 For more information, run any command with --help`);
 
 program
-  .command('analyze <schema-file>')
-  .description('Analyze a FGQL schema file and cache the results')
+  .command('analyze <schema-files...>')
+  .description('Analyze FGQL schema files and cache the results')
   .option('-f, --force', 'Force re-analysis even if cache exists')
   .addHelpText('after', `
+Passing a directory or several files analyzes every subgraph as one federated
+graph. A directory is cached under its own path. Several files are cached under
+their closest common parent directory followed by the file names in braces, e.g.
+./subgraphs/{products.graphql,reviews.graphql}. The analysis prints this name;
+pass it to --schema to query that analysis.
+
 Examples:
   $ fgq analyze schema.graphql              # Analyze schema and cache results
   $ fgq analyze schema.graphql --force      # Re-analyze even if already cached
-  $ fgq analyze ./examples/products.graphql # Analyze schema from examples directory`)
-  .action(async (schemaFile, options) => {
+  $ fgq analyze ./examples/products.graphql # Analyze schema from examples directory
+  $ fgq analyze ./subgraphs/                # Analyze all subgraph files in a directory
+  $ fgq analyze products.graphql reviews.graphql`)
+  .action(async (schemaFiles, options) => {
     try {
-      const absolutePath = path.resolve(schemaFile);
-      
-      if (!await fs.pathExists(absolutePath)) {
-        console.error(chalk.red(`Error: Schema file not found: ${schemaFile}`));
-        process.exit(1);
+      for (const schemaFile of schemaFiles) {
+        if (!await fs.pathExists(path.resolve(schemaFile))) {
+          console.error(chalk.red(`Error: Schema file not found: ${schemaFile}`));
+          process.exit(1);
+        }
       }
 
-      const cacheExists = await hasCache(absolutePath);
+      const cachePath = getSourcesCachePath(schemaFiles);
+      const displayName = schemaFiles.join(', ');
+      // Several files are cached under a name made from them, which --schema takes
+      const cacheNote = schemaFiles.length > 1 ? `- Cached as: ${cachePath} (pass it to --schema)` : null;
+      const sources = await collectSchemaSources(schemaFiles);
+      const cache = await hasCache(cachePath) ? await getCache(cachePath) : null;
       
-      if (cacheExists && !options.force) {
+      if (cache && hasSameSources(cache, sources) && !options.force) {
         console.log(chalk.yellow('Schema already analyzed. Use --force to re-analyze.'));
-        const cache = await getCache(absolutePath);
         console.log(chalk.green(`\nAnalysis Summary:`));
-        console.log(`- Schema file: ${schemaFile}`);
+        console.log(`- Schema file: ${displayName}`);
         console.log(`- Total types: ${cache.metadata.totalTypes}`);
         console.log(`- Total dependencies: ${cache.metadata.totalDependencies}`);
         console.log(`- Analyzed at: ${new Date(cache.metadata.analyzedAt).toLocaleString()}`);
+        if (cacheNote) console.log(cacheNote);
         return;
       }
 
-      console.log(chalk.blue(`Analyzing schema: ${schemaFile}...`));
+      console.log(chalk.blue(`Analyzing schema: ${displayName}...`));
       
-      const schemaContent = await fs.readFile(absolutePath, 'utf-8');
-      const analysis = await analyzeSchema(schemaContent, absolutePath);
+      const analysis = await analyzeSchemas(sources, cachePath);
       
       console.log(chalk.green('\n✓ Analysis complete!'));
+      if (analysis.metadata.sources.length > 1) {
+        console.log(`- Subgraphs analyzed: ${analysis.metadata.subgraphs.join(', ')}`);
+      }
+      if (analysis.metadata.federationVersion) {
+        console.log(`- Federation version: ${analysis.metadata.federationVersion}`);
+      }
       console.log(`- Total types analyzed: ${analysis.metadata.totalTypes}`);
       console.log(`- Total dependencies found: ${analysis.metadata.totalDependencies}`);
-      console.log(`- Cache saved for quick queries`);
+      console.log(cacheNote || `- Cache saved for quick queries`);
+
+      if (analysis.diagnostics.length > 0) {
+        console.log(chalk.yellow(`\n${analysis.diagnostics.length} problem(s) found (run "fgq validate" to check them in CI):`));
+        analysis.diagnostics.forEach(diagnostic => {
+          const location = formatLocation(diagnostic.location) || diagnostic.subgraph;
+          console.log(`${chalk.red(diagnostic.severity)} ${chalk.gray(location)} ${diagnostic.message}`);
+        });
+      }
       
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
@@ -95,6 +268,7 @@ program
   .option('-f, --field <field>', 'Query dependencies for a specific field')
   .option('-j, --json', 'Output results as JSON')
   .option('-d, --direct', 'Show only direct dependencies (no transitive dependencies)')
+  .option('--depth <n>', 'Follow chains of transitive dependencies at most n hops deep', parseDepth)
   .option('-c, --count', 'Show only the count of dependencies')
   .option('-i, --include-same-type', 'Include dependencies from fields within the same type')
   .addHelpText('after', `
@@ -104,6 +278,7 @@ Examples:
   $ fgq query Product --json             # Output as JSON for scripting
   $ fgq query Product -s myschema.graphql # Query specific schema file
   $ fgq query Item --direct              # Only direct dependencies on Item fields
+  $ fgq query Product --field price --depth 2  # Dependents of price, and their dependents
   $ fgq query Product --count            # Show only the count of dependencies
   $ fgq query Cart --include-same-type   # Include Cart fields that depend on other Cart fields`)
   .action(async (type, options) => {
@@ -137,6 +312,18 @@ Examples:
           if (dep.directive) {
             console.log(`${chalk.gray('Via:')} @${dep.directive}`);
           }
+          if (dep.context) {
+            console.log(`${chalk.gray('Context:')} $${dep.context} (argument ${dep.argument})`);
+          }
+          if (dep.key) {
+            console.log(`${chalk.gray('Key:')} @key(fields: "${dep.key.fields}") in ${dep.key.subgraph}`);
+          }
+          if (dep.depth > 1) {
+            console.log(`${chalk.gray('Chain:')} ${dep.chain.join(' <- ')}`);
+          }
+          if (dep.location) {
+            console.log(`${chalk.gray('Location:')} ${formatLocation(dep.location)}`);
+          }
         });
       }
       
@@ -146,6 +333,787 @@ Examples:
     }
   });
 
+program
+  .command('deps <target>')
+  .description('Query what a field (Type.field), or every field of a type, depends on')
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .option('-d, --direct', 'Show only direct dependencies')
+  .option('--depth <n>', 'Follow chains of transitive dependencies at most n hops deep', parseDepth)
+  .option('--top-level', 'Show only fields named at the top level of field sets (no nested selections)')
+  .option('-c, --count', 'Show only the count of dependencies')
+  .addHelpText('after', `
+This is the forward direction of "query": given Review.isGoodValue, it lists every
+field it requires, provides, keys on or reads from a context, and the types it references.
+Like "query", it follows chains: if a required field itself requires others, those are
+listed too, with the chain that led to them.
+
+Examples:
+  $ fgq deps Review.isGoodValue             # Everything Review.isGoodValue depends on
+  $ fgq deps Review                         # Dependencies of every Review field
+  $ fgq deps Review.isGoodValue --direct    # No transitive dependencies
+  $ fgq deps Review.isGoodValue --depth 2   # Its dependencies, and theirs
+  $ fgq deps Review.isGoodValue --top-level # Only top-level fields of its field sets
+  $ fgq deps Review.isGoodValue --json      # Output as JSON for scripting`)
+  .action(async (target, options) => {
+    try {
+      const results = await queryFieldDependencies(target, options);
+
+      if (options.count) {
+        console.log(`${results.length} dependencies of ${target}`);
+        return;
+      }
+
+      if (results.length === 0) {
+        console.log(chalk.yellow(`No dependencies found for: ${target}`));
+        return;
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+      }
+
+      console.log(chalk.green(`\nFields that ${target} depends on:`));
+      results.forEach(dep => {
+        console.log(`\n${chalk.cyan('Depends on:')} ${dep.dependedType}.${dep.dependedField}`);
+        if (!target.includes('.')) {
+          console.log(`${chalk.gray('Depending Field:')} ${dep.dependingType}.${dep.dependingField}`);
+        }
+        console.log(`${chalk.gray('Subgraph:')} ${dep.dependingSubgraph}`);
+        console.log(`${chalk.gray('Path:')} ${dep.fieldPath}`);
+        console.log(`${chalk.gray('Via:')} @${dep.directive}`);
+        if (dep.context) {
+          console.log(`${chalk.gray('Context:')} $${dep.context} (argument ${dep.argument})`);
+        }
+        if (dep.key) {
+          console.log(`${chalk.gray('Key:')} @key(fields: "${dep.key.fields}") in ${dep.key.subgraph}`);
+        }
+        if (dep.depth > 1) {
+          console.log(`${chalk.gray('Chain:')} ${dep.chain.join(' -> ')}`);
+        }
+        if (dep.location) {
+          console.log(`${chalk.gray('Location:')} ${formatLocation(dep.location)}`);
+        }
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('path <from> <to>')
+  .description('Show the dependency chains from one field (Type.field) or type to another')
+  .option('-a, --all', 'Show every dependency path, not only the shortest')
+  .option('--max-depth <n>', 'Longest chain to look for', parseDepth, 10)
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .addHelpText('after', `
+Follows @requires, @provides, @key and @fromContext dependencies from <from> towards
+<to>; either end may be a type, meaning any of its fields.
+
+Examples:
+  $ fgq path Cart.total Product.inStock   # Why does Cart.total depend on Product.inStock?
+  $ fgq path Cart Product --all           # Every chain from a Cart field to a Product field
+  $ fgq path Cart.total Product --json    # Output as JSON for scripting`)
+  .action(async (from, to, options) => {
+    try {
+      const paths = await queryDependencyPaths(from, to, options);
+
+      if (options.json) {
+        console.log(JSON.stringify(paths, null, 2));
+        return;
+      }
+
+      if (paths.length === 0) {
+        console.log(chalk.yellow(`No dependency path from ${from} to ${to}`));
+        return;
+      }
+
+      paths.forEach((dependencyPath, index) => {
+        const hops = dependencyPath.hops.length === 1 ? '1 hop' : `${dependencyPath.hops.length} hops`;
+        console.log(chalk.green(`\nPath ${index + 1} (${hops}):`));
+        dependencyPath.hops.forEach(hop => {
+          console.log(`  ${hop.from} ${chalk.gray('->')} ${hop.to} ${chalk.gray(`via @${hop.directive} in ${hop.subgraph}`)}`);
+          if (hop.location) {
+            console.log(`    ${chalk.gray(formatLocation(hop.location))}`);
+          }
+        });
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('cycles')
+  .description('Find dependency cycles between fields and, collapsed, between subgraphs')
+  .option('-l, --level <level>', 'Only show field or subgraph cycles')
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .addHelpText('after', `
+A field cycle is a set of fields that transitively depend on each other, e.g. A.x
+requiring B.y which requires A.z. A subgraph cycle is a set of subgraphs whose
+@requires, @provides or @fromContext dependencies on fields resolved by one another
+form a loop; entity references through @key and @external don't count. "fgq validate"
+reports both.
+
+Examples:
+  $ fgq cycles                   # Field and subgraph cycles
+  $ fgq cycles --level subgraph  # Only subgraphs that depend on each other
+  $ fgq cycles --json`)
+  .action(async (options) => {
+    try {
+      if (options.level && !['field', 'subgraph'].includes(options.level)) {
+        console.error(chalk.red(`Error: Unknown level "${options.level}", expected field or subgraph`));
+        process.exit(1);
+      }
+
+      const cycles = await queryCycles(options);
+      const fieldCycles = options.level === 'subgraph' ? [] : cycles.fieldCycles;
+      const subgraphCycles = options.level === 'field' ? [] : cycles.subgraphCycles;
+
+      if (options.json) {
+        console.log(JSON.stringify({ fieldCycles, subgraphCycles }, null, 2));
+        return;
+      }
+
+      if (fieldCycles.length === 0 && subgraphCycles.length === 0) {
+        console.log(chalk.green('✓ No dependency cycles found'));
+        return;
+      }
+
+      fieldCycles.forEach((cycle, index) => {
+        console.log(chalk.red(`\nField cycle ${index + 1}: ${cycle.fields.join(', ')}`));
+        console.log(`${chalk.gray('Subgraphs:')} ${cycle.subgraphs.join(', ')}`);
+        cycle.edges.forEach(edge => {
+          const location = edge.location ? chalk.gray(` ${formatLocation(edge.location)}`) : '';
+          console.log(`  ${edge.from} ${chalk.gray('->')} ${edge.to} ${chalk.gray(`via @${edge.directive} in ${edge.subgraph}`)}${location}`);
+        });
+      });
+
+      subgraphCycles.forEach((cycle, index) => {
+        console.log(chalk.yellow(`\nSubgraph cycle ${index + 1}: ${cycle.subgraphs.join(', ')}`));
+        cycle.edges.forEach(edge => {
+          console.log(`  ${edge.fromSubgraph} ${chalk.gray('->')} ${edge.toSubgraph} ${chalk.gray(`(${edge.from} -> ${edge.to} via @${edge.directive})`)}`);
+        });
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('impact <target>')
+  .description('Report the dependencies, entity resolution paths and subgraphs affected by changing a field')
+  .option('--change <kind>', `Kind of change: ${CHANGE_KINDS.join(', ')}`, 'remove')
+  .option('--owners <file>', 'JSON file mapping subgraph names to the teams that own them')
+  .option('--depth <n>', 'Follow chains of transitive dependents at most n hops deep', parseDepth)
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .addHelpText('after', `
+Prints a Markdown report to paste into a change review: the @requires, @provides,
+@key and @fromContext dependencies that break, those worth a look, transitive
+dependents, the @key sets (entity resolution paths) the field is part of, and the
+subgraphs involved. For an interface field, implementations are included.
+
+Examples:
+  $ fgq impact Product.price                       # Removing Product.price
+  $ fgq impact Product.price --change retype
+  $ fgq impact Product.sku --change nullable --owners owners.json
+  $ fgq impact Product.price --json`)
+  .action(async (target, options) => {
+    try {
+      const owners = options.owners ? await fs.readJson(path.resolve(options.owners)) : undefined;
+      const report = await queryImpact(target, { ...options, owners });
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+      }
+
+      console.log(formatImpactReport(report));
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('operations <paths...>')
+  .description('Walk client operations against the analyzed schema and report the subgraphs, @requires and @provides each one uses')
+  .option('--requires <target>', 'Only operations that pull in this field (Type.field) or type through @requires')
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .addHelpText('after', `
+Reads .graphql and .gql files (directories are searched recursively). Fragments may be
+defined in any of them. For each operation it lists the subgraphs it touches, the fields
+fetched for @requires on the fields it selects (key fields included, marked "key"), and
+the @provides shortcuts that apply.
+
+Examples:
+  $ fgq operations ./ops/                              # Every operation in ./ops
+  $ fgq operations ./ops/ --requires Product.price     # Operations that depend on requiring Product.price
+  $ fgq operations checkout.graphql --json`)
+  .action(async (paths, options) => {
+    try {
+      const sources = await collectOperationSources(paths);
+      const reports = await analyzeOperations(sources, options);
+
+      if (options.json) {
+        console.log(JSON.stringify(reports, null, 2));
+        return;
+      }
+
+      if (reports.length === 0) {
+        console.log(chalk.yellow('No matching operations found'));
+        return;
+      }
+
+      reports.forEach(report => {
+        console.log(`\n${chalk.green(`${report.operation} ${report.name || '(anonymous)'}`)} ${chalk.gray(formatLocation(report.location))}`);
+        console.log(`${chalk.cyan('Subgraphs:')} ${report.subgraphs.join(', ') || 'none'}`);
+
+        if (report.requires.length > 0) {
+          console.log(chalk.cyan('Requires:'));
+          report.requires.forEach(requirement => {
+            const keyField = requirement.keyField ? ' (key)' : '';
+            console.log(`  ${requirement.field}${keyField} from ${requirement.subgraph || 'unknown'}, for ${requirement.requiredBy} in ${requirement.requiringSubgraph} ${chalk.gray(`(at ${requirement.path})`)}`);
+          });
+        }
+
+        if (report.provides.length > 0) {
+          console.log(chalk.cyan('Provides:'));
+          report.provides.forEach(shortcut => {
+            console.log(`  ${shortcut.field} in ${shortcut.subgraph} provides ${shortcut.fields.join(', ')} ${chalk.gray(`(at ${shortcut.path})`)}`);
+          });
+        }
+
+        report.problems.forEach(problem => {
+          console.log(`${chalk.red(problem.severity)} ${formatLocation(problem.location)} ${problem.message} ${chalk.gray(`[${problem.code}]`)}`);
+        });
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('plan <paths...>')
+  .description('Simulate the sequence of subgraph fetches a router would make for client operations')
+  .option('-o, --operation <name>', 'Only plan the operation with this name')
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .addHelpText('after', `
+Prints a fetch tree per operation: the root fetches, the entity fetches through
+_entities with the @key they use, and the fetches @requires forces before a field can
+be resolved, with the number of sequential hops. @provides lets a subgraph resolve
+fields without an entity fetch. This approximates a query planner; it won't match
+Apollo's plans exactly.
+
+Examples:
+  $ fgq plan checkout.graphql                        # Plan every operation in the file
+  $ fgq plan ./ops/ --operation ProductPage          # Plan one operation
+  $ fgq plan checkout.graphql --json`)
+  .action(async (paths, options) => {
+    try {
+      const sources = await collectOperationSources(paths);
+      const plans = await planOperations(sources, options);
+
+      if (options.json) {
+        console.log(JSON.stringify(plans, null, 2));
+        return;
+      }
+
+      if (plans.length === 0) {
+        console.log(chalk.yellow(options.operation ? `Operation not found: ${options.operation}` : 'No operations found'));
+        return;
+      }
+
+      plans.forEach(plan => {
+        console.log(`\n${formatPlan(plan)}`);
+        plan.problems.forEach(problem => {
+          const color = problem.severity === 'error' ? chalk.red : chalk.yellow;
+          const location = problem.location ? ` ${formatLocation(problem.location)}` : '';
+          console.log(`${color(problem.severity)}${location} ${problem.message} ${chalk.gray(`[${problem.code}]`)}`);
+        });
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('diff <old> <new>')
+  .description('Compare two schemas: types, fields, key sets and dependencies added or removed')
+  .option('-j, --json', 'Output results as JSON')
+  .addHelpText('after', `
+Each side is a schema file or directory, which is analyzed without touching the
+cache, or the path of a cached analysis that no longer exists on disk. Dependencies are grouped by directive and
+subgraph; types each field references are not listed as dependencies.
+
+Examples:
+  $ fgq diff old.graphql new.graphql
+  $ fgq diff ./main/subgraphs/ ./pr/subgraphs/
+  $ fgq diff old.graphql new.graphql --json`)
+  .action(async (oldSchema, newSchema, options) => {
+    try {
+      const diff = await diffSchemas(oldSchema, newSchema);
+
+      if (options.json) {
+        console.log(JSON.stringify(diff, null, 2));
+        return;
+      }
+
+      console.log(formatSchemaDiff(diff));
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const baseline = program
+  .command('baseline')
+  .description('Record the dependency set in a committed baseline file and check changes against it');
+
+const describeBaselineEntry = entry => {
+  const fieldPath = entry.fieldPath ? ` (${entry.fieldPath})` : '';
+  const crossSubgraph = entry.crossSubgraph ? chalk.yellow(' cross-subgraph') : '';
+  return `@${entry.directive} in ${entry.subgraph}: ${entry.depending} -> ${entry.depended}${fieldPath}${crossSubgraph}`;
+};
+
+baseline
+  .command('write [schema-files...]')
+  .description('Save the dependencies of an analysis to a baseline file, sorted for clean diffs')
+  .option('-f, --file <file>', 'Baseline file to write', DEFAULT_BASELINE_FILE)
+  .option('-s, --schema <file>', 'Cached schema to use when no files are given (uses most recent if not specified)')
+  .addHelpText('after', `
+Rewriting an existing baseline keeps the "justification" of entries that still exist,
+so add one to each accepted coupling and commit the file.
+
+Examples:
+  $ fgq baseline write ./subgraphs/        # Analyze and save the baseline
+  $ fgq baseline write --file deps.json    # Baseline of the most recent analysis`)
+  .action(async (schemaFiles, options) => {
+    try {
+      const analysis = await loadBaselineAnalysis(schemaFiles, options);
+      const written = await writeBaseline(options.file, analysis);
+      const crossSubgraph = written.dependencies.filter(entry => entry.crossSubgraph).length;
+
+      console.log(chalk.green(`✓ Wrote ${written.dependencies.length} dependencies (${crossSubgraph} cross-subgraph) to ${options.file}`));
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+baseline
+  .command('check [schema-files...]')
+  .description('Fail when dependencies were added since the baseline; exits non-zero for CI')
+  .option('-f, --file <file>', 'Baseline file to check against', DEFAULT_BASELINE_FILE)
+  .option('-s, --schema <file>', 'Cached schema to check when no files are given (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .option('--fail-on-removed', 'Also fail when baseline dependencies no longer exist')
+  .option('--require-justification', 'Also fail when baseline entries have no justification')
+  .addHelpText('after', `
+Examples:
+  $ fgq baseline check ./subgraphs/                    # Analyze and check, for CI
+  $ fgq baseline check ./subgraphs/ --fail-on-removed  # Keep the baseline exact
+  $ fgq baseline check --require-justification --json`)
+  .action(async (schemaFiles, options) => {
+    try {
+      const baselineFile = await readBaseline(options.file);
+      const analysis = await loadBaselineAnalysis(schemaFiles, options);
+      const result = checkBaseline(analysis, baselineFile);
+
+      const failed = result.added.length > 0
+        || (options.failOnRemoved && result.removed.length > 0)
+        || (options.requireJustification && result.unjustified.length > 0);
+
+      if (options.json) {
+        console.log(JSON.stringify({ passed: !failed, ...result }, null, 2));
+      } else {
+        if (result.added.length > 0) {
+          console.log(chalk.red(`✗ ${result.added.length} dependencies are not in the baseline (${options.file}):`));
+          result.added.forEach(entry => {
+            const location = entry.location ? chalk.gray(` ${formatLocation(entry.location)}`) : '';
+            console.log(`  ${chalk.green('+')} ${describeBaselineEntry(entry)}${location}`);
+          });
+          console.log(`If they are intended, run "fgq baseline write" and add a justification to the new entries.`);
+        }
+
+        if (result.removed.length > 0) {
+          const color = options.failOnRemoved ? chalk.red : chalk.yellow;
+          console.log(color(`\n${result.removed.length} baseline dependencies no longer exist:`));
+          result.removed.forEach(entry => console.log(`  ${chalk.red('-')} ${describeBaselineEntry(entry)}`));
+          console.log('Run "fgq baseline write" to drop them from the baseline.');
+        }
+
+        if (options.requireJustification && result.unjustified.length > 0) {
+          console.log(chalk.red(`\n${result.unjustified.length} baseline entries have no justification:`));
+          result.unjustified.forEach(entry => console.log(`  ${describeBaselineEntry(entry)}`));
+        }
+
+        if (!failed) {
+          console.log(chalk.green(`✓ No dependencies added since the baseline (${baselineFile.dependencies.length} entries)`));
+        }
+      }
+
+      if (failed) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const policy = program
+  .command('policy')
+  .description('Enforce architecture rules over dependencies with a policy file');
+
+policy
+  .command('check')
+  .description('Report dependencies that violate the rules of a policy file; exits non-zero on errors')
+  .option('-p, --policy <file>', 'Policy file, JSON or YAML (default: .fgqlpolicy.json, .yaml or .yml in the current directory)')
+  .option('-s, --schema <file>', 'Schema file to check (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .option('--strict', 'Exit with a non-zero code on warnings too')
+  .addHelpText('after', `
+A policy is a list of rules, each with an "effect" (deny or allow) and a "match" on
+directive, dependingSubgraph, dependingType, dependingField, dependedSubgraph,
+dependedType, dependedField (strings with * wildcards, or lists), dependedKeyField
+and crossSubgraph (true or false). Dependencies matching a deny rule are violations
+unless an allow rule matches them too.
+
+Example .fgqlpolicy.json:
+  {
+    "rules": [
+      { "name": "no-requires-from-payments", "effect": "deny",
+        "match": { "directive": "requires", "dependedSubgraph": "payments" } },
+      { "name": "catalog-keys-only", "effect": "deny", "match": { "dependingSubgraph": "catalog" } },
+      { "effect": "allow", "match": { "dependingSubgraph": "catalog", "dependedKeyField": true } }
+    ]
+  }
+
+Examples:
+  $ fgq policy check
+  $ fgq policy check --policy architecture.yaml --json`)
+  .action(async (options) => {
+    try {
+      const result = await queryPolicyViolations(options);
+      const errors = result.violations.filter(violation => violation.severity === 'error');
+      const warnings = result.violations.filter(violation => violation.severity === 'warning');
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else if (result.violations.length === 0) {
+        console.log(chalk.green(`✓ No policy violations (${result.rules} rules, ${result.checked} dependencies checked)`));
+      } else {
+        result.violations.forEach(violation => {
+          const dep = violation.dependency;
+          const severity = violation.severity === 'error'
+            ? chalk.red(violation.severity)
+            : chalk.yellow(violation.severity);
+          const description = violation.description ? ` ${violation.description}` : '';
+          console.log(`${severity} ${chalk.gray(`[${violation.rule}]`)}${description}`);
+          console.log(`  @${dep.directive} in ${dep.dependingSubgraph}: ${dep.dependingType}.${dep.dependingField} -> ${dep.dependedType}.${dep.dependedField}${dep.fieldPath ? ` (${dep.fieldPath})` : ''}`);
+          if (dep.location) {
+            console.log(`  ${chalk.gray(formatLocation(dep.location))}`);
+          }
+        });
+        console.log(`
+${errors.length} error(s), ${warnings.length} warning(s) from ${result.policy}`);
+      }
+
+      if (errors.length > 0 || (options.strict && warnings.length > 0)) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('metrics')
+  .description('Roll dependencies up to subgraph level: fan-in/fan-out, a coupling matrix, hotspots and instability')
+  .option('-d, --directive <name>', 'Only count dependencies through this directive (e.g. requires)')
+  .option('-t, --top <n>', 'Number of hotspots to list', parseTop, 10)
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .addHelpText('after', `
+Each dependency links its subgraph to the subgraphs resolving the field it depends on.
+Fan-out counts the subgraphs a subgraph depends on, fan-in those depending on it, and
+instability is fan-out / (fan-in + fan-out). Save the JSON output to track coupling
+over time.
+
+Examples:
+  $ fgq metrics
+  $ fgq metrics --directive requires       # Coupling through @requires only
+  $ fgq metrics --top 20 --json > metrics.json`)
+  .action(async (options) => {
+    try {
+      const metrics = await queryMetrics(options);
+
+      if (options.json) {
+        console.log(JSON.stringify(metrics, null, 2));
+        return;
+      }
+
+      if (metrics.subgraphs.length === 0) {
+        console.log(chalk.yellow('No subgraphs found'));
+        return;
+      }
+
+      console.log(formatMetricsTables(metrics));
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('export')
+  .description('Export the dependency graph as DOT, Mermaid, GraphML or Cytoscape JSON')
+  .option('--format <format>', `Output format: ${EXPORT_FORMATS.join(', ')}`, 'dot')
+  .option('-l, --level <level>', `Granularity: ${EXPORT_LEVELS.join(', ')}`, 'field')
+  .option('--around <type>', 'Only export dependencies in the neighborhood of this type')
+  .option('--depth <n>', 'Size of the neighborhood in hops', parseDepth, 1)
+  .option('-d, --directive <name>', 'Only export dependencies through this directive (e.g. requires)')
+  .option('-o, --output <file>', 'Write the graph to a file instead of stdout')
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .addHelpText('after', `
+Edges are labeled with their directive, parallel dependencies merged into one edge with
+a count. Field and type nodes resolved by a single subgraph are grouped by it: clusters
+in DOT and Mermaid, parent nodes in Cytoscape JSON, a "subgraph" attribute in GraphML.
+
+Examples:
+  $ fgq export | dot -Tsvg > dependencies.svg
+  $ fgq export --format mermaid --around Product        # Paste into a design doc
+  $ fgq export --level subgraph --directive requires
+  $ fgq export --level type --format graphml -o dependencies.graphml`)
+  .action(async (options) => {
+    try {
+      if (!EXPORT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+      }
+
+      const graph = await queryExportGraph(options);
+      const output = formatExportGraph(graph, options.format);
+
+      if (options.output) {
+        await fs.writeFile(options.output, output + '\n');
+        console.error(chalk.green(`✓ Wrote ${graph.nodes.length} nodes and ${graph.edges.length} edges to ${options.output}`));
+        return;
+      }
+
+      console.log(output);
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('report')
+  .description('Write a self-contained HTML report of a cached analysis')
+  .requiredOption('--html <file>', 'Write the HTML report to this file')
+  .option('--title <title>', 'Report title')
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .addHelpText('after', `
+The report is a single HTML file with its data, styles and script embedded, so it
+opens offline and can be attached to a review ticket. It has a searchable type list,
+inbound and outbound dependency tables per type, subgraph coupling metrics, an
+interactive type/subgraph graph and the validation findings.
+
+Examples:
+  $ fgq report --html report.html
+  $ fgq report --html review.html --schema ./subgraphs --title "Checkout review"`)
+  .action(async (options) => {
+    try {
+      const data = await queryReportData(options);
+      await fs.writeFile(options.html, renderHtmlReport(data));
+
+      console.log(chalk.green(`✓ Wrote report of ${data.types.length} types and ${data.dependencies.length} dependencies to ${options.html}`));
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('subgraphs')
+  .description('List the subgraphs of the analyzed graph with their URLs, types and keys')
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .addHelpText('after', `
+For composed supergraphs, subgraph names and URLs come from the join__Graph enum
+and keys from each @join__type(graph:, key:).
+
+Examples:
+  $ fgq subgraphs
+  $ fgq subgraphs -s supergraph.graphql --json`)
+  .action(async (options) => {
+    try {
+      const subgraphs = await querySubgraphs(options);
+
+      if (options.json) {
+        console.log(JSON.stringify(subgraphs, null, 2));
+        return;
+      }
+
+      if (subgraphs.length === 0) {
+        console.log(chalk.yellow('No subgraphs found.'));
+        return;
+      }
+
+      subgraphs.forEach(subgraph => {
+        console.log(`\n${chalk.cyan(subgraph.name)}${subgraph.url ? chalk.gray(` (${subgraph.url})`) : ''}`);
+        console.log(`  Types: ${subgraph.types.length}, Resolved fields: ${subgraph.resolvedFields.length}`);
+        subgraph.keys.forEach(key => {
+          const resolvable = key.resolvable ? '' : chalk.gray(' (not resolvable)');
+          console.log(`  Key: ${key.type} @key(fields: "${key.key}")${resolvable}`);
+        });
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('directives')
+  .description('List types and fields using Federation 2 ownership and visibility directives')
+  .option('-o, --only <directive>', 'Only show one directive: override, shareable, inaccessible, tag or interfaceObject')
+  .option('-t, --tag <name>', 'Only show types and fields with this @tag')
+  .option('-s, --schema <file>', 'Schema file to query (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .option('-c, --count', 'Show only the count of entries')
+  .addHelpText('after', `
+Examples:
+  $ fgq directives                      # Every @override, @shareable, @inaccessible, @tag and @interfaceObject
+  $ fgq directives --only override      # Fields mid-migration between subgraphs
+  $ fgq directives --only shareable     # Fields resolved by several subgraphs
+  $ fgq directives --tag public --json  # Types and fields tagged "public"`)
+  .action(async (options) => {
+    try {
+      const entries = await queryFederationDirectives({ ...options, directive: options.only });
+
+      if (options.count) {
+        console.log(`${entries.length} federation directive entries`);
+        return;
+      }
+
+      if (entries.length === 0) {
+        console.log(chalk.yellow('No federation directives found.'));
+        return;
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return;
+      }
+
+      entries.forEach(entry => {
+        const target = entry.field ? `${entry.type}.${entry.field}` : entry.type;
+        let details = '';
+        if (entry.directive === 'override') {
+          details = `${entry.subgraph} overrides ${entry.from}${entry.label ? ` (label: ${entry.label})` : ''}`;
+        } else if (entry.subgraphs) {
+          details = entry.subgraphs.join(', ');
+        } else if (entry.tags) {
+          details = entry.tags.join(', ');
+        }
+        console.log(`${chalk.cyan(`@${entry.directive}`)} ${target}${details ? chalk.gray(` - ${details}`) : ''}`);
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('validate [schema-files...]')
+  .description('Validate @key, @requires, @provides and @fromContext field sets; exits non-zero on errors')
+  .option('-s, --schema <file>', 'Cached schema to validate when no files are given (uses most recent if not specified)')
+  .option('-j, --json', 'Output results as JSON')
+  .option('--strict', 'Exit with a non-zero code on warnings too')
+  .addHelpText('after', `
+Reports field-set segments that don't exist, selections on leaf types, @requires
+fields that aren't @external, @provides on non-entity fields, @key fields the
+type doesn't declare and dependency cycles. Passing schema files (or a directory)
+analyzes them first, without touching the cached analyses.
+
+Examples:
+  $ fgq validate ./subgraphs/              # Analyze and validate, for CI
+  $ fgq validate                           # Validate the most recent analysis
+  $ fgq validate supergraph.graphql --json
+  $ fgq validate ./subgraphs/ --strict     # Fail on warnings too`)
+  .action(async (schemaFiles, options) => {
+    try {
+      let diagnostics;
+
+      if (schemaFiles.length > 0) {
+        for (const schemaFile of schemaFiles) {
+          if (!await fs.pathExists(path.resolve(schemaFile))) {
+            console.error(chalk.red(`Error: Schema file not found: ${schemaFile}`));
+            process.exit(1);
+          }
+        }
+        const sources = await collectSchemaSources(schemaFiles);
+        const analysis = await analyzeSchemas(sources, getSourcesCachePath(schemaFiles), { cache: false });
+        diagnostics = sortDiagnostics(analysis.diagnostics);
+      } else {
+        diagnostics = await queryDiagnostics(options);
+      }
+
+      const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+      const warnings = diagnostics.filter(diagnostic => diagnostic.severity === 'warning');
+
+      if (options.json) {
+        console.log(JSON.stringify(diagnostics, null, 2));
+      } else if (diagnostics.length === 0) {
+        console.log(chalk.green('✓ No problems found'));
+      } else {
+        diagnostics.forEach(diagnostic => {
+          const severity = diagnostic.severity === 'error'
+            ? chalk.red(diagnostic.severity)
+            : chalk.yellow(diagnostic.severity);
+          const location = formatLocation(diagnostic.location) || diagnostic.subgraph;
+          console.log(`${severity} ${chalk.gray(location)} ${diagnostic.message} ${chalk.gray(`[${diagnostic.code}]`)}`);
+        });
+        console.log(`
+${errors.length} error(s), ${warnings.length} warning(s)`);
+      }
+
+      if (errors.length > 0 || (options.strict && warnings.length > 0)) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('list')
   .description('List all analyzed schemas')
@@ -0,0 +1,230 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import { print } from "graphql";
+import { analyzeSchemas, collectSchemaSources, getSourcesCachePath } from "./analyzer.js";
+import { getCache } from "./cache.js";
+import { fieldKey, isStructuralDependency } from "./graph.js";
+
+// Loads the analysis to diff: schema files and directories on disk are analyzed in
+// memory, leaving the cache as it is; anything else is looked up among the cached analyses
+export async function loadAnalysis(target) {
+  if (await fs.pathExists(path.resolve(target))) {
+    const sources = await collectSchemaSources([target]);
+    return analyzeSchemas(sources, getSourcesCachePath([target]), { cache: false });
+  }
+
+  return getCache(target);
+}
+
+// Compares two analyses: types, fields and @key sets added or removed, fields whose
+// type changed, and the @requires, @provides, @key and @fromContext dependencies added
+// or removed, grouped by directive and subgraph. When both sides are a single subgraph
+// under different names (old.graphql against new.graphql), they're compared as one.
+export async function diffSchemas(oldTarget, newTarget) {
+  const oldAnalysis = await loadAnalysis(oldTarget);
+  const newAnalysis = await loadAnalysis(newTarget);
+
+  const oldSubgraphs = oldAnalysis.metadata.subgraphs || [];
+  const newSubgraphs = newAnalysis.metadata.subgraphs || [];
+  const renamed =
+    oldSubgraphs.length === 1 && newSubgraphs.length === 1 && oldSubgraphs[0] !== newSubgraphs[0]
+      ? { from: oldSubgraphs[0], to: newSubgraphs[0] }
+      : null;
+  const subgraphName = (subgraph) => (renamed && subgraph === renamed.from ? renamed.to : subgraph);
+
+  const oldTypes = collectNamedTypes(oldAnalysis);
+  const newTypes = collectNamedTypes(newAnalysis);
+
+  const diff = {
+    old: { schema: oldTarget, subgraphs: oldSubgraphs },
+    new: { schema: newTarget, subgraphs: newSubgraphs },
+    ...(renamed && { comparedSubgraphs: renamed }),
+    types: {
+      added: [...newTypes].filter(([name]) => !oldTypes.has(name)).map(([name, type]) => ({ name, kind: type.kind })),
+      removed: [...oldTypes].filter(([name]) => !newTypes.has(name)).map(([name, type]) => ({ name, kind: type.kind })),
+    },
+    fields: { added: [], removed: [], changed: [] },
+    keys: { added: [], removed: [] },
+    dependencies: [],
+  };
+
+  newTypes.forEach((newType, typeName) => {
+    const oldType = oldTypes.get(typeName);
+    if (!oldType) return;
+
+    Object.entries(newType.fields).forEach(([fieldName, field]) => {
+      const oldField = oldType.fields[fieldName];
+      if (!oldField) {
+        diff.fields.added.push({ type: typeName, field: fieldName, fieldType: formatFieldType(field) });
+      } else if (formatFieldType(oldField) !== formatFieldType(field)) {
+        diff.fields.changed.push({ type: typeName, field: fieldName, from: formatFieldType(oldField), to: formatFieldType(field) });
+      }
+    });
+    Object.entries(oldType.fields)
+      .filter(([fieldName]) => !newType.fields[fieldName])
+      .forEach(([fieldName, field]) => {
+        diff.fields.removed.push({ type: typeName, field: fieldName, fieldType: formatFieldType(field) });
+      });
+  });
+
+  const describeKeys = (analysis, mapSubgraph) =>
+    new Map(
+      Object.entries(analysis.types).flatMap(([typeName, type]) =>
+        (type.keys || []).map((key) => {
+          const keySet = {
+            type: typeName,
+            fields: normalizeFieldSet(key.fields),
+            subgraph: mapSubgraph(key.subgraph),
+            resolvable: key.resolvable,
+          };
+          return [`${keySet.type}|${keySet.fields}|${keySet.subgraph}|${keySet.resolvable}`, keySet];
+        })
+      )
+    );
+  const oldKeys = describeKeys(oldAnalysis, subgraphName);
+  const newKeys = describeKeys(newAnalysis, (subgraph) => subgraph);
+  diff.keys.added = [...newKeys].filter(([id]) => !oldKeys.has(id)).map(([, key]) => key);
+  diff.keys.removed = [...oldKeys].filter(([id]) => !newKeys.has(id)).map(([, key]) => key);
+
+  const oldDependencies = describeDependencies(oldAnalysis, subgraphName);
+  const newDependencies = describeDependencies(newAnalysis);
+
+  const groups = new Map();
+  const addToGroup = (dep, change) => {
+    const id = `${dep.directive}|${dep.subgraph}`;
+    if (!groups.has(id)) {
+      groups.set(id, { directive: dep.directive, subgraph: dep.subgraph, added: [], removed: [] });
+    }
+    const { directive, subgraph, ...rest } = dep;
+    groups.get(id)[change].push(rest);
+  };
+  newDependencies.forEach((dep, id) => {
+    if (!oldDependencies.has(id)) addToGroup(dep, "added");
+  });
+  oldDependencies.forEach((dep, id) => {
+    if (!newDependencies.has(id)) addToGroup(dep, "removed");
+  });
+  diff.dependencies = [...groups.values()].sort(
+    (a, b) => a.directive.localeCompare(b.directive) || String(a.subgraph).localeCompare(String(b.subgraph))
+  );
+
+  return diff;
+}
+
+// The directive-derived dependencies of an analysis, described by field names rather
+// than types and fields, keyed by dependencyId
+export function describeDependencies(analysis, mapSubgraph = (subgraph) => subgraph) {
+  return new Map(
+    analysis.dependencies
+      .filter((dep) => !isStructuralDependency(dep))
+      .map((dep) => {
+        const described = {
+          directive: dep.directive,
+          subgraph: mapSubgraph(dep.dependingSubgraph),
+          depending: fieldKey(dep.dependingType, dep.dependingField),
+          depended: fieldKey(dep.dependedType, dep.dependedField),
+          fieldPath: dep.fieldPath,
+          location: dep.location || null,
+        };
+        return [dependencyId(described), described];
+      })
+  );
+}
+
+export function dependencyId(dep) {
+  return `${dep.directive}|${dep.subgraph}|${dep.depending}|${dep.depended}|${dep.fieldPath}`;
+}
+
+export function hasChanges(diff) {
+  return (
+    diff.types.added.length > 0 ||
+    diff.types.removed.length > 0 ||
+    diff.fields.added.length > 0 ||
+    diff.fields.removed.length > 0 ||
+    diff.fields.changed.length > 0 ||
+    diff.keys.added.length > 0 ||
+    diff.keys.removed.length > 0 ||
+    diff.dependencies.length > 0
+  );
+}
+
+// Object, interface, union, input object, enum and custom scalar types by name. Only
+// object, interface and input object types have fields to compare.
+function collectNamedTypes(analysis) {
+  const types = new Map();
+
+  Object.entries(analysis.types).forEach(([name, type]) => {
+    const kind = type.isUnion ? "union" : type.isInterface ? "interface" : "object";
+    types.set(name, { kind, fields: type.fields || {} });
+  });
+  Object.entries(analysis.inputTypes || {}).forEach(([name, type]) => {
+    types.set(name, { kind: "input", fields: type.fields || {} });
+  });
+  Object.keys(analysis.enums || {}).forEach((name) => types.set(name, { kind: "enum", fields: {} }));
+  Object.keys(analysis.scalars || {}).forEach((name) => types.set(name, { kind: "scalar", fields: {} }));
+
+  return types;
+}
+
+function formatFieldType(field) {
+  if (field.rawTypeNode) return print(field.rawTypeNode);
+
+  const named = field.isListType ? `[${field.type}]` : field.type;
+  return field.isNonNullType ? `${named}!` : named;
+}
+
+function normalizeFieldSet(fields) {
+  return String(fields).replace(/[\s,]+/g, " ").trim();
+}
+
+// Renders a diff for review, with additions in green and removals in red
+export function formatSchemaDiff(diff) {
+  const lines = [];
+  const added = (text) => lines.push(chalk.green(`  + ${text}`));
+  const removed = (text) => lines.push(chalk.red(`  - ${text}`));
+  const section = (title, count) => lines.push("", chalk.cyan(`${title} (${count})`));
+
+  lines.push(chalk.bold(`Diff ${diff.old.schema} -> ${diff.new.schema}`));
+  if (diff.comparedSubgraphs) {
+    lines.push(chalk.gray(`Comparing subgraph ${diff.comparedSubgraphs.from} with ${diff.comparedSubgraphs.to}`));
+  }
+
+  if (!hasChanges(diff)) {
+    lines.push("", chalk.green("No changes"));
+    return lines.join("\n");
+  }
+
+  if (diff.types.added.length + diff.types.removed.length > 0) {
+    section("Types", diff.types.added.length + diff.types.removed.length);
+    diff.types.added.forEach((type) => added(`${type.kind} ${type.name}`));
+    diff.types.removed.forEach((type) => removed(`${type.kind} ${type.name}`));
+  }
+
+  const fieldCount = diff.fields.added.length + diff.fields.removed.length + diff.fields.changed.length;
+  if (fieldCount > 0) {
+    section("Fields", fieldCount);
+    diff.fields.added.forEach((field) => added(`${field.type}.${field.field}: ${field.fieldType}`));
+    diff.fields.removed.forEach((field) => removed(`${field.type}.${field.field}: ${field.fieldType}`));
+    diff.fields.changed.forEach((field) =>
+      lines.push(chalk.yellow(`  ~ ${field.type}.${field.field}: ${field.from} -> ${field.to}`))
+    );
+  }
+
+  if (diff.keys.added.length + diff.keys.removed.length > 0) {
+    section("Key sets", diff.keys.added.length + diff.keys.removed.length);
+    const describe = (key) =>
+      `${key.type} @key(fields: "${key.fields}") in ${key.subgraph}${key.resolvable === false ? ", not resolvable" : ""}`;
+    diff.keys.added.forEach((key) => added(describe(key)));
+    diff.keys.removed.forEach((key) => removed(describe(key)));
+  }
+
+  diff.dependencies.forEach((group) => {
+    section(`@${group.directive} in ${group.subgraph}`, group.added.length + group.removed.length);
+    const describe = (dep) => `${dep.depending} -> ${dep.depended}${dep.fieldPath ? ` (${dep.fieldPath})` : ""}`;
+    group.added.forEach((dep) => added(describe(dep)));
+    group.removed.forEach((dep) => removed(describe(dep)));
+  });
+
+  return lines.join("\n");
+}
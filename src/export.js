@@ -0,0 +1,290 @@
+import { getCache, getMostRecentCache } from "./cache.js";
+import { fieldKey, getResolvingSubgraphs, isStructuralDependency, isSubgraph } from "./graph.js";
+
+export const EXPORT_FORMATS = ["dot", "mermaid", "graphml", "cytoscape"];
+export const EXPORT_LEVELS = ["field", "type", "subgraph"];
+
+// Builds the dependency graph of an analysis at field, type or subgraph granularity.
+// Nodes are { id, label, subgraph } where `subgraph` is the one subgraph resolving the
+// node, or null for nodes shared by several; edges are { from, to, directive, count },
+// parallel dependencies through the same directive merged into one counted edge. With
+// `around`, only dependencies within `depth` hops (default 1) of that type are kept.
+// Records for the types fields reference are left out unless `directive` names them.
+export function buildExportGraph(analysis, options = {}) {
+  const level = options.level || "field";
+  if (!EXPORT_LEVELS.includes(level)) {
+    throw new Error(`Unknown level "${level}". Use one of: ${EXPORT_LEVELS.join(", ")}`);
+  }
+
+  const directive = options.directive?.replace(/^@/, "");
+  let dependencies = analysis.dependencies.filter((dep) =>
+    directive ? dep.directive === directive : !isStructuralDependency(dep)
+  );
+
+  if (options.around) {
+    if (!analysis.types[options.around]) {
+      throw new Error(`Type "${options.around}" not found in schema`);
+    }
+    dependencies = filterNeighborhood(dependencies, options.around, options.depth ?? 1);
+  }
+
+  const nodes = new Map();
+  const edges = new Map();
+
+  const addNode = (id, subgraph) => {
+    if (!nodes.has(id)) nodes.set(id, { id, label: id, subgraph: subgraph ?? null });
+  };
+  const addEdge = (from, to, dep) => {
+    const id = `${from}|${to}|${dep.directive}`;
+    if (!edges.has(id)) edges.set(id, { from, to, directive: dep.directive, count: 0 });
+    edges.get(id).count += 1;
+  };
+
+  dependencies.forEach((dep) => {
+    if (level === "subgraph") {
+      if (!isSubgraph(dep.dependingSubgraph)) return;
+
+      getResolvingSubgraphs(analysis, dep.dependedType, dep.dependedField)
+        .filter((subgraph) => isSubgraph(subgraph) && subgraph !== dep.dependingSubgraph)
+        .forEach((subgraph) => {
+          addNode(dep.dependingSubgraph);
+          addNode(subgraph);
+          addEdge(dep.dependingSubgraph, subgraph, dep);
+        });
+      return;
+    }
+
+    if (level === "type") {
+      if (dep.dependingType === dep.dependedType) return;
+      addNode(dep.dependingType, getTypeSubgraph(analysis, dep.dependingType));
+      addNode(dep.dependedType, getTypeSubgraph(analysis, dep.dependedType));
+      addEdge(dep.dependingType, dep.dependedType, dep);
+      return;
+    }
+
+    const from = fieldKey(dep.dependingType, dep.dependingField);
+    // A type reference points at the type, not at one of its fields
+    const to = isStructuralDependency(dep) ? dep.dependedType : fieldKey(dep.dependedType, dep.dependedField);
+    // A field's @external declaration of itself isn't an edge
+    if (from === to) return;
+
+    addNode(from, getFieldSubgraph(analysis, dep.dependingType, dep.dependingField));
+    if (isStructuralDependency(dep)) {
+      addNode(to, getTypeSubgraph(analysis, dep.dependedType));
+    } else {
+      addNode(to, getFieldSubgraph(analysis, dep.dependedType, dep.dependedField));
+    }
+    addEdge(from, to, dep);
+  });
+
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return {
+    level,
+    nodes: [...nodes.values()].sort((a, b) => compare(a.id, b.id)),
+    edges: [...edges.values()].sort(
+      (a, b) => compare(a.from, b.from) || compare(a.to, b.to) || compare(a.directive, b.directive)
+    ),
+  };
+}
+
+export async function queryExportGraph(options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  return buildExportGraph(analysis, options);
+}
+
+export function formatExportGraph(graph, format) {
+  switch (format) {
+    case "dot":
+      return formatDot(graph);
+    case "mermaid":
+      return formatMermaid(graph);
+    case "graphml":
+      return formatGraphML(graph);
+    case "cytoscape":
+      return JSON.stringify(formatCytoscape(graph), null, 2);
+    default:
+      throw new Error(`Unknown format "${format}". Use one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+}
+
+// Keeps the dependencies between types within `depth` hops of the given type, in
+// either direction
+function filterNeighborhood(dependencies, type, depth) {
+  const neighbors = new Map();
+  const link = (a, b) => {
+    if (!neighbors.has(a)) neighbors.set(a, new Set());
+    neighbors.get(a).add(b);
+  };
+  dependencies.forEach((dep) => {
+    link(dep.dependingType, dep.dependedType);
+    link(dep.dependedType, dep.dependingType);
+  });
+
+  const distances = new Map([[type, 0]]);
+  let frontier = [type];
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+    const next = [];
+    frontier.forEach((current) => {
+      (neighbors.get(current) || []).forEach((neighbor) => {
+        if (distances.has(neighbor)) return;
+        distances.set(neighbor, hop);
+        next.push(neighbor);
+      });
+    });
+    frontier = next;
+  }
+
+  // An edge is within reach when one end is less than `depth` hops away
+  return dependencies.filter(
+    (dep) => Math.min(distances.get(dep.dependingType) ?? Infinity, distances.get(dep.dependedType) ?? Infinity) < depth
+  );
+}
+
+function getFieldSubgraph(analysis, type, field) {
+  const resolving = getResolvingSubgraphs(analysis, type, field);
+  return resolving.length === 1 ? resolving[0] : null;
+}
+
+function getTypeSubgraph(analysis, type) {
+  const subgraphs = (analysis.types[type]?.subgraphs || []).filter(isSubgraph);
+  return subgraphs.length === 1 ? subgraphs[0] : null;
+}
+
+function edgeLabel(edge) {
+  return edge.count > 1 ? `${edge.directive} ×${edge.count}` : edge.directive;
+}
+
+// Nodes by subgraph, in order; ungrouped nodes under null
+function groupNodes(graph) {
+  const groups = new Map();
+  graph.nodes.forEach((node) => {
+    const group = graph.level === "subgraph" ? null : node.subgraph;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(node);
+  });
+  return groups;
+}
+
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function formatDot(graph) {
+  const lines = ["digraph dependencies {", "  rankdir=LR;", "  node [shape=box];"];
+
+  groupNodes(graph).forEach((nodes, subgraph) => {
+    if (subgraph === null) {
+      nodes.forEach((node) => lines.push(`  ${quoteDot(node.id)};`));
+      return;
+    }
+    lines.push(`  subgraph ${quoteDot(`cluster_${subgraph}`)} {`);
+    lines.push(`    label=${quoteDot(subgraph)};`);
+    nodes.forEach((node) => lines.push(`    ${quoteDot(node.id)};`));
+    lines.push("  }");
+  });
+
+  graph.edges.forEach((edge) => {
+    lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)} [label=${quoteDot(edgeLabel(edge))}];`);
+  });
+
+  lines.push("}");
+  return lines.join("\n");
+}
+
+// Mermaid ids can't contain dots, so nodes get generated ids and keep their names as labels
+function formatMermaid(graph) {
+  const ids = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+  const quote = (value) => `"${String(value).replace(/"/g, "#quot;")}"`;
+  const lines = ["flowchart LR"];
+
+  let groupIndex = 0;
+  groupNodes(graph).forEach((nodes, subgraph) => {
+    const indent = subgraph === null ? "  " : "    ";
+    if (subgraph !== null) lines.push(`  subgraph g${groupIndex++} [${quote(subgraph)}]`);
+    nodes.forEach((node) => lines.push(`${indent}${ids.get(node.id)}[${quote(node.label)}]`));
+    if (subgraph !== null) lines.push("  end");
+  });
+
+  graph.edges.forEach((edge) => {
+    lines.push(`  ${ids.get(edge.from)} -->|${quote(edgeLabel(edge))}| ${ids.get(edge.to)}`);
+  });
+
+  return lines.join("\n");
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Subgraphs are a node attribute rather than nested graphs, which most GraphML
+// readers (Gephi, yEd, NetworkX) can group or color by
+function formatGraphML(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="subgraph" for="node" attr.name="subgraph" attr.type="string"/>',
+    '  <key id="directive" for="edge" attr.name="directive" attr.type="string"/>',
+    '  <key id="count" for="edge" attr.name="count" attr.type="int"/>',
+    '  <graph id="dependencies" edgedefault="directed">',
+  ];
+
+  graph.nodes.forEach((node) => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+    if (node.subgraph) lines.push(`      <data key="subgraph">${escapeXml(node.subgraph)}</data>`);
+    lines.push("    </node>");
+  });
+
+  graph.edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}">`);
+    lines.push(`      <data key="directive">${escapeXml(edge.directive)}</data>`);
+    lines.push(`      <data key="count">${edge.count}</data>`);
+    lines.push("    </edge>");
+  });
+
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n");
+}
+
+// Cytoscape.js elements, with subgraphs as compound parent nodes
+function formatCytoscape(graph) {
+  const parentId = (subgraph) => `subgraph:${subgraph}`;
+  const groups = [...groupNodes(graph).keys()].filter((subgraph) => subgraph !== null);
+
+  return {
+    elements: {
+      nodes: [
+        ...groups.map((subgraph) => ({ data: { id: parentId(subgraph), label: subgraph } })),
+        ...graph.nodes.map((node) => ({
+          data: {
+            id: node.id,
+            label: node.label,
+            ...(graph.level !== "subgraph" && node.subgraph && { parent: parentId(node.subgraph) }),
+          },
+        })),
+      ],
+      edges: graph.edges.map((edge, index) => ({
+        data: {
+          id: `e${index}`,
+          source: edge.from,
+          target: edge.to,
+          label: edgeLabel(edge),
+          directive: edge.directive,
+          count: edge.count,
+        },
+      })),
+    },
+  };
+}
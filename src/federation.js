@@ -0,0 +1,181 @@
+import { visit } from "graphql";
+import { getArgumentValue } from "./supergraph.js";
+import { unique } from "./graph.js";
+
+// Directives defined by the Apollo Federation 2 spec, by their canonical names
+const FEDERATION_DIRECTIVES = [
+  "key",
+  "external",
+  "requires",
+  "provides",
+  "extends",
+  "shareable",
+  "inaccessible",
+  "override",
+  "tag",
+  "interfaceObject",
+  "composeDirective",
+  "authenticated",
+  "requiresScopes",
+  "policy",
+  "context",
+  "fromContext",
+  "cost",
+  "listSize",
+];
+
+const FEDERATION_SPEC_URL = /\/federation\/v(\d+(?:\.\d+)?)\/?$/;
+
+// Reads "schema @link(...)" / "extend schema @link(...)" to find the federation spec
+// version and the local name of each federation directive. Imported directives keep
+// their (possibly renamed) local name; the others are only available namespaced, e.g.
+// @federation__requires. Schemas without a federation @link use Federation 1 names.
+export function resolveFederationLink(ast) {
+  let federationLink = null;
+
+  visit(ast, {
+    enter(node) {
+      if (node.kind !== "SchemaDefinition" && node.kind !== "SchemaExtension") return;
+
+      (node.directives || [])
+        .filter((d) => d.name.value === "link")
+        .forEach((directive) => {
+          const url = getArgumentValue(directive, "url") || "";
+          const match = url.match(FEDERATION_SPEC_URL);
+          if (match) {
+            federationLink = {
+              version: match[1],
+              namespace: getArgumentValue(directive, "as") || "federation",
+              imports: getArgumentValue(directive, "import") || [],
+            };
+          }
+        });
+    },
+  });
+
+  const names = {};
+  if (!federationLink) {
+    FEDERATION_DIRECTIVES.forEach((name) => (names[name] = name));
+    return { version: null, names, localNames: invert(names) };
+  }
+
+  FEDERATION_DIRECTIVES.forEach((name) => {
+    names[name] = `${federationLink.namespace}__${name}`;
+  });
+  federationLink.imports.forEach((entry) => {
+    const imported = typeof entry === "string" ? { name: entry } : entry;
+    if (!imported?.name?.startsWith("@")) return;
+
+    const canonical = imported.name.slice(1);
+    if (FEDERATION_DIRECTIVES.includes(canonical)) {
+      names[canonical] = (imported.as || imported.name).replace(/^@/, "");
+    }
+  });
+
+  return { version: federationLink.version, names, localNames: invert(names) };
+}
+
+// Returns the canonical federation name of a directive as it is used in a schema,
+// e.g. "key" for @primaryKey when imported with that name. Non-federation directives
+// keep their name; federation names that the schema did not import resolve to null.
+export function getFederationDirectiveName(directive, link) {
+  const name = directive.name.value;
+
+  if (!link) return name;
+  if (link.localNames[name]) return link.localNames[name];
+  return FEDERATION_DIRECTIVES.includes(name) ? null : name;
+}
+
+// Records the meaning of the Federation 2 ownership and visibility directives
+// (@override, @shareable, @inaccessible, @tag, @interfaceObject), and which subgraphs
+// only declare a field as @external, on the types and fields collected from one
+// subgraph schema.
+export function applyFederationDirectives(collected, subgraph, link) {
+  collected.types.forEach((type) => {
+    const typeSubgraphs = type.subgraphs || [subgraph];
+    const joinTypes = type.joinTypes || [];
+    const isTypeShareable = hasDirective(type.directives, "shareable", link);
+
+    type.federation = {
+      shareableIn: isTypeShareable ? [...typeSubgraphs] : [],
+      interfaceObjectIn: hasDirective(type.directives, "interfaceObject", link)
+        ? [...typeSubgraphs]
+        : unique(joinTypes.filter((joinType) => joinType.isInterfaceObject).map((joinType) => joinType.graph)),
+      inaccessible: hasDirective(type.directives, "inaccessible", link),
+      tags: getTags(type.directives, link),
+    };
+
+    type.fields.forEach((field) => {
+      const fieldSubgraphs = field.subgraphs || [subgraph];
+      const overrides = field.directives
+        .filter((d) => getFederationDirectiveName(d, link) === "override")
+        .map((directive) => ({
+          subgraph: fieldSubgraphs[0],
+          from: getArgumentValue(directive, "from"),
+          label: getArgumentValue(directive, "label") || null,
+        }));
+
+      // Supergraphs record overrides on @join__field and have no @shareable: a field
+      // resolved by several graphs was necessarily shareable in each of them
+      (field.joinFields || [])
+        .filter((joinField) => joinField.override)
+        .forEach((joinField) => {
+          overrides.push({
+            subgraph: joinField.graph,
+            from: joinField.override,
+            label: joinField.overrideLabel || null,
+          });
+        });
+      const resolvedBy = field.resolvedBy || [];
+
+      field.federation = {
+        shareableIn:
+          isTypeShareable || hasDirective(field.directives, "shareable", link)
+            ? [...fieldSubgraphs]
+            : resolvedBy.length > 1 && field.joinFields
+              ? [...resolvedBy]
+              : [],
+        override: overrides,
+        externalIn: hasDirective(field.directives, "external", link)
+          ? [...fieldSubgraphs]
+          : unique((field.joinFields || []).filter((joinField) => joinField.external).map((joinField) => joinField.graph)),
+        inaccessible: hasDirective(field.directives, "inaccessible", link),
+        tags: getTags(field.directives, link),
+      };
+    });
+  });
+}
+
+// Combines the federation info of a type or field declared in several subgraphs.
+export function mergeFederationInfo(target, info) {
+  if (!info) return target;
+  if (!target) return info;
+
+  const merged = { ...target };
+  Object.entries(info).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      merged[key] = key === "override"
+        ? [...(target[key] || []), ...value]
+        : unique([...(target[key] || []), ...value]);
+    } else if (typeof value === "boolean") {
+      merged[key] = target[key] || value;
+    }
+  });
+  return merged;
+}
+
+function hasDirective(directives, name, link) {
+  return (directives || []).some((d) => getFederationDirectiveName(d, link) === name);
+}
+
+function getTags(directives, link) {
+  return unique(
+    (directives || [])
+      .filter((d) => getFederationDirectiveName(d, link) === "tag")
+      .map((d) => getArgumentValue(d, "name"))
+  );
+}
+
+function invert(names) {
+  return Object.fromEntries(Object.entries(names).map(([canonical, local]) => [local, canonical]));
+}
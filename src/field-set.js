@@ -0,0 +1,86 @@
+import { parse, print, Source, Kind } from "graphql";
+
+// Parses a @key/@requires/@provides field set as a GraphQL selection set. Returns
+// one selection per field with its dotted path, the inline fragment type condition
+// for each path segment, its arguments and its offset within the field set string.
+// Field sets that are not valid selection sets return an error instead.
+export function parseFieldSet(fieldSet) {
+  let document;
+
+  try {
+    // Wrap the field set so it parses as an anonymous query's selection set
+    document = parse(new Source(`{${fieldSet}}`, "field set"));
+  } catch (error) {
+    const position = error.positions?.[0];
+    const offset = position !== undefined ? Math.min(Math.max(position - 1, 0), fieldSet.length) : null;
+    // The closing brace is ours, so report reaching it as the end of the field set
+    const message = offset === fieldSet.length
+      ? error.message.replace('found "}"', "found end of field set")
+      : error.message;
+
+    return { selections: [], error: { message, offset } };
+  }
+
+  const [definition, ...extraDefinitions] = document.definitions;
+  if (extraDefinitions.length > 0 || definition.kind !== Kind.OPERATION_DEFINITION) {
+    return {
+      selections: [],
+      error: { message: "Field set must be a single selection set", offset: 0 },
+    };
+  }
+
+  const selections = [];
+  const errors = [];
+  collectSelections(definition.selectionSet, [], [], null, selections, errors);
+
+  return { selections, error: errors[0] || null };
+}
+
+function collectSelections(selectionSet, parentPath, parentConditions, typeCondition, selections, errors) {
+  selectionSet.selections.forEach((selection) => {
+    switch (selection.kind) {
+      case Kind.FIELD: {
+        const field = selection.name.value;
+        const path = [...parentPath, field];
+        const pathConditions = [...parentConditions, typeCondition];
+
+        selections.push({
+          field,
+          path: path.join("."),
+          pathConditions,
+          typeCondition: [...pathConditions].reverse().find(Boolean) || null,
+          alias: selection.alias?.value || null,
+          arguments: (selection.arguments || []).map((arg) => ({
+            name: arg.name.value,
+            value: print(arg.value),
+          })),
+          offset: selection.name.loc.start - 1,
+        });
+
+        // A field's own selection set starts outside of any inline fragment
+        if (selection.selectionSet) {
+          collectSelections(selection.selectionSet, path, pathConditions, null, selections, errors);
+        }
+        break;
+      }
+
+      case Kind.INLINE_FRAGMENT:
+        collectSelections(
+          selection.selectionSet,
+          parentPath,
+          parentConditions,
+          selection.typeCondition?.name.value || typeCondition,
+          selections,
+          errors
+        );
+        break;
+
+      case Kind.FRAGMENT_SPREAD:
+        errors.push({
+          message: `Named fragment spread "...${selection.name.value}" is not allowed in a field set`,
+          offset: selection.loc.start - 1,
+        });
+        break;
+    }
+  });
+}
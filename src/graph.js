@@ -0,0 +1,295 @@
+// Dependencies recorded from the shape of the schema rather than from a directive.
+// They say which types a field references, not which fields it reads, so they are
+// not followed when walking chains of field dependencies.
+export const STRUCTURAL_DIRECTIVES = ["field_type", "argument_type", "input_field_type"];
+
+export function fieldKey(type, field) {
+  return `${type}.${field}`;
+}
+
+export function isStructuralDependency(dep) {
+  return STRUCTURAL_DIRECTIVES.includes(dep.directive);
+}
+
+// Dependencies through which a field needs data resolved elsewhere, including the key
+// fields a @requires or @provides selects. Entity references (@key, @external) aren't.
+export const REQUIREMENT_DIRECTIVES = ["requires", "provides", "fromContext"];
+
+export function isRequirementDependency(dep) {
+  return REQUIREMENT_DIRECTIVES.includes(dep.directive) || REQUIREMENT_DIRECTIVES.includes(dep.fieldSetDirective);
+}
+
+// Type references are recorded with the placeholder subgraph "NONE"
+export function isSubgraph(name) {
+  return Boolean(name) && name !== "NONE";
+}
+
+// The distinct non-empty values, in first-seen order
+export function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// Indexes the directive-derived dependency edges by field ("Type.field"): `dependents`
+// maps a field to the dependencies on it, `dependencies` to the dependencies it has.
+export function buildDependencyGraph(dependencies) {
+  const graph = { dependents: new Map(), dependencies: new Map() };
+
+  dependencies
+    .filter((dep) => !isStructuralDependency(dep))
+    .forEach((dep) => {
+      const from = fieldKey(dep.dependingType, dep.dependingField);
+      const to = fieldKey(dep.dependedType, dep.dependedField);
+
+      if (!graph.dependents.has(to)) graph.dependents.set(to, []);
+      graph.dependents.get(to).push(dep);
+      if (!graph.dependencies.has(from)) graph.dependencies.set(from, []);
+      graph.dependencies.get(from).push(dep);
+    });
+
+  return graph;
+}
+
+// Follows dependents outward from the given direct dependencies, breadth first, so
+// each field is reached through its shortest chain. Every result carries `depth` (1 for
+// the direct dependencies) and `chain`, the fields from the depended-on field to the
+// depending one. Fields already on the way are never revisited, so cycles terminate.
+export function expandDependents(graph, directDependencies, options = {}) {
+  return expandChains(directDependencies, options, {
+    from: (dep) => fieldKey(dep.dependedType, dep.dependedField),
+    to: (dep) => fieldKey(dep.dependingType, dep.dependingField),
+    next: (key) => graph.dependents.get(key) || [],
+  });
+}
+
+// The forward counterpart of expandDependents: follows what the depended-on fields
+// depend on in turn, with `chain` running from the depending field to the last one
+// depended on.
+export function expandDependencies(graph, directDependencies, options = {}) {
+  return expandChains(directDependencies, options, {
+    from: (dep) => fieldKey(dep.dependingType, dep.dependingField),
+    to: (dep) => fieldKey(dep.dependedType, dep.dependedField),
+    next: (key) => graph.dependencies.get(key) || [],
+  });
+}
+
+function expandChains(directDependencies, options, direction) {
+  const maxDepth = options.depth ?? Infinity;
+  const results = [];
+  const visited = new Set();
+
+  let frontier = directDependencies.map((dep) => ({
+    ...dep,
+    depth: 1,
+    chain: [direction.from(dep), direction.to(dep)],
+  }));
+  frontier.forEach((dep) => visited.add(dep.chain[0]));
+
+  while (frontier.length > 0) {
+    const next = [];
+
+    frontier.forEach((dep) => {
+      results.push(dep);
+
+      const reachedKey = dep.chain[dep.chain.length - 1];
+      if (dep.depth >= maxDepth || visited.has(reachedKey)) return;
+      visited.add(reachedKey);
+
+      direction.next(reachedKey).forEach((nextDep) => {
+        const nextKey = direction.to(nextDep);
+        if (dep.chain.includes(nextKey)) return;
+
+        next.push({ ...nextDep, depth: dep.depth + 1, chain: [...dep.chain, nextKey] });
+      });
+    });
+
+    frontier = next;
+  }
+
+  return results;
+}
+
+// Whether a field ("Type.field") is the given endpoint: the same field, or any field
+// of the type when the endpoint is a type name
+function matchesEndpoint(key, endpoint) {
+  return endpoint.includes(".") ? key === endpoint : key.startsWith(`${endpoint}.`);
+}
+
+// Finds the chains of dependencies leading from one field (or any field of a type) to
+// another. Each path is the list of dependency edges followed, from the source's own
+// dependency to the one on the target. Returns one shortest path, or with `all` every
+// simple path up to `maxDepth` hops (at most `limit` of them), shortest first.
+export function findDependencyPaths(graph, source, target, options = {}) {
+  const maxDepth = options.maxDepth ?? 10;
+  const limit = options.limit ?? 100;
+  const startKeys = [...graph.dependencies.keys()].filter((key) => matchesEndpoint(key, source));
+
+  if (!options.all) {
+    // Breadth first, so the first path reaching the target is a shortest one
+    const visited = new Set(startKeys);
+    let frontier = startKeys.map((key) => ({ key, path: [] }));
+
+    while (frontier.length > 0) {
+      const next = [];
+      for (const { key, path } of frontier) {
+        if (path.length >= maxDepth) continue;
+
+        for (const dep of graph.dependencies.get(key) || []) {
+          const dependedKey = fieldKey(dep.dependedType, dep.dependedField);
+          const nextPath = [...path, dep];
+          if (matchesEndpoint(dependedKey, target)) {
+            return [nextPath];
+          }
+          if (!visited.has(dependedKey)) {
+            visited.add(dependedKey);
+            next.push({ key: dependedKey, path: nextPath });
+          }
+        }
+      }
+      frontier = next;
+    }
+    return [];
+  }
+
+  const paths = [];
+  const walk = (key, path, onPath) => {
+    if (paths.length >= limit || path.length >= maxDepth) return;
+
+    for (const dep of graph.dependencies.get(key) || []) {
+      const dependedKey = fieldKey(dep.dependedType, dep.dependedField);
+      if (onPath.has(dependedKey)) continue;
+
+      if (matchesEndpoint(dependedKey, target)) {
+        paths.push([...path, dep]);
+        if (paths.length >= limit) return;
+        continue;
+      }
+      onPath.add(dependedKey);
+      walk(dependedKey, [...path, dep], onPath);
+      onPath.delete(dependedKey);
+    }
+  };
+  startKeys.forEach((key) => walk(key, [], new Set([key])));
+
+  return paths.sort((a, b) => a.length - b.length);
+}
+
+// Tarjan's algorithm: the strongly connected components of a directed graph, given its
+// nodes and a function returning the successors of a node
+function findStronglyConnectedComponents(nodes, successors) {
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let index = 0;
+
+  const connect = (node) => {
+    indexes.set(node, index);
+    lowLinks.set(node, index);
+    index++;
+    stack.push(node);
+    onStack.add(node);
+
+    successors(node).forEach((successor) => {
+      if (!indexes.has(successor)) {
+        connect(successor);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(successor)));
+      } else if (onStack.has(successor)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(successor)));
+      }
+    });
+
+    if (lowLinks.get(node) === indexes.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      components.push(component.reverse());
+    }
+  };
+
+  nodes.forEach((node) => {
+    if (!indexes.has(node)) connect(node);
+  });
+
+  return components;
+}
+
+// Finds cycles of field dependencies, such as A.x requiring B.y which requires A.z.
+// Each cycle is a strongly connected component with its fields, the subgraphs
+// declaring its dependencies and the dependency edges between its fields. A field's
+// dependency on itself (an @external key field) is not a cycle.
+export function findFieldCycles(graph) {
+  const edgesFrom = (key) =>
+    (graph.dependencies.get(key) || []).filter(
+      (dep) => fieldKey(dep.dependedType, dep.dependedField) !== key
+    );
+  const successors = (key) => [
+    ...new Set(edgesFrom(key).map((dep) => fieldKey(dep.dependedType, dep.dependedField))),
+  ];
+
+  return findStronglyConnectedComponents([...graph.dependencies.keys()], successors)
+    .filter((component) => component.length > 1)
+    .map((fields) => {
+      const edges = fields.flatMap((key) =>
+        edgesFrom(key).filter((dep) => fields.includes(fieldKey(dep.dependedType, dep.dependedField)))
+      );
+      return {
+        fields,
+        subgraphs: [...new Set(edges.map((dep) => dep.dependingSubgraph))],
+        edges,
+      };
+    });
+}
+
+// Collapses requirement dependencies to subgraph level, from the subgraph declaring each
+// dependency to the subgraphs that resolve the depended field, and finds the groups of
+// subgraphs that depend on each other in a cycle.
+export function findSubgraphCycles(graph, getResolvingSubgraphs) {
+  const edges = new Map();
+  graph.dependencies.forEach((deps) => {
+    deps.filter(isRequirementDependency).forEach((dep) => {
+      getResolvingSubgraphs(dep).forEach((resolvingSubgraph) => {
+        if (resolvingSubgraph === dep.dependingSubgraph) return;
+        if (!edges.has(dep.dependingSubgraph)) edges.set(dep.dependingSubgraph, []);
+        edges.get(dep.dependingSubgraph).push({ from: dep.dependingSubgraph, to: resolvingSubgraph, dependency: dep });
+      });
+    });
+  });
+
+  const successors = (subgraph) => [...new Set((edges.get(subgraph) || []).map((edge) => edge.to))];
+
+  return findStronglyConnectedComponents([...edges.keys()], successors)
+    .filter((component) => component.length > 1)
+    .map((subgraphs) => ({
+      subgraphs,
+      edges: subgraphs.flatMap((subgraph) =>
+        (edges.get(subgraph) || []).filter((edge) => subgraphs.includes(edge.to))
+      ),
+    }));
+}
+
+// A field is resolved by the subgraphs that define it without @external
+export function getResolvingSubgraphs(analysis, type, field) {
+  const fieldInfo = analysis.types[type]?.fields[field];
+  if (!fieldInfo) return [];
+  if (fieldInfo.resolvedBy?.length > 0) return fieldInfo.resolvedBy;
+
+  const externalIn = fieldInfo.federation?.externalIn || [];
+  return (fieldInfo.subgraphs || []).filter((subgraph) => !externalIn.includes(subgraph));
+}
+
+// Field- and subgraph-level dependency cycles of a (serialized) analysis
+export function findDependencyCycles(analysis) {
+  const graph = buildDependencyGraph(analysis.dependencies);
+
+  return {
+    fieldCycles: findFieldCycles(graph),
+    subgraphCycles: findSubgraphCycles(graph, (dep) =>
+      getResolvingSubgraphs(analysis, dep.dependedType, dep.dependedField)
+    ),
+  };
+}
@@ -0,0 +1,180 @@
+import { print } from "graphql";
+import { getCache, getMostRecentCache } from "./cache.js";
+import { queryDependencies, parseFieldReference, formatLocation } from "./query.js";
+import { isStructuralDependency, isSubgraph } from "./graph.js";
+
+export const CHANGE_KINDS = ["remove", "retype", "nullable"];
+
+// Why a direct dependency breaks (or needs a look) for each kind of change
+const IMPACT_RULES = {
+  remove: () => ({ impact: "breaks", reason: "selects a field that would no longer exist" }),
+  retype: (dep) =>
+    dep.directive === "external"
+      ? { impact: "breaks", reason: "its @external declaration must match the new type" }
+      : { impact: "breaks", reason: "its selection and the @external declarations must match the new type" },
+  nullable: (dep) =>
+    dep.directive === "key" || dep.directive === "external"
+      ? { impact: "breaks", reason: "entity references with a null key field cannot be resolved" }
+      : { impact: "review", reason: "would receive null where it gets a value today" },
+};
+
+// Works out what breaks when a field is removed, retyped or made nullable: the
+// @requires, @provides, @key and @fromContext dependencies on it (and on the same field
+// of every implementation when the type is an interface), their transitive dependents,
+// the @key sets and so the entity resolution paths it is part of, and the subgraphs
+// (and teams, given an owners map) involved.
+export async function queryImpact(target, options = {}) {
+  const change = options.change || "remove";
+  if (!CHANGE_KINDS.includes(change)) {
+    throw new Error(`Unknown change "${change}", expected one of: ${CHANGE_KINDS.join(", ")}`);
+  }
+
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  const { type, field } = parseFieldReference(target);
+  const typeInfo = analysis.types[type];
+  if (!typeInfo) {
+    throw new Error(`Type "${type}" not found in schema`);
+  }
+  if (!field || !typeInfo.fields[field]) {
+    throw new Error(`Field "${target}" not found in schema`);
+  }
+
+  const fieldInfo = typeInfo.fields[field];
+  const implementations = (analysis.implementations[type] || []).filter(
+    (implementation) => analysis.types[implementation]?.fields[field]
+  );
+  const targets = [type, ...implementations];
+
+  const direct = [];
+  const transitive = [];
+  for (const targetType of targets) {
+    const dependents = await queryDependencies(targetType, {
+      field,
+      schema: options.schema,
+      includeSameType: true,
+      depth: options.depth,
+    });
+
+    dependents
+      .filter((dep) => !isStructuralDependency(dep))
+      .forEach((dep) => {
+        if (dep.depth > 1) {
+          transitive.push(dep);
+        } else {
+          direct.push({ ...dep, ...IMPACT_RULES[change](dep) });
+        }
+      });
+  }
+
+  // Making a nullable field nullable changes nothing
+  const alreadyNullable = change === "nullable" && !fieldInfo.isNonNullType;
+
+  const keys = targets.flatMap((targetType) =>
+    (analysis.types[targetType].keys || [])
+      .filter((key) => key.paths.some((path) => path.split(".")[0] === field))
+      .map((key) => ({ type: targetType, fields: key.fields, subgraph: key.subgraph, resolvable: key.resolvable }))
+  );
+
+  const subgraphs = [
+    ...new Set([
+      ...(fieldInfo.subgraphs || []),
+      ...direct.map((dep) => dep.dependingSubgraph),
+      ...transitive.map((dep) => dep.dependingSubgraph),
+      ...keys.map((key) => key.subgraph),
+    ]),
+  ].filter(isSubgraph);
+
+  return {
+    target,
+    change,
+    field: {
+      type: fieldInfo.rawTypeNode ? print(fieldInfo.rawTypeNode) : fieldInfo.type,
+      subgraphs: fieldInfo.subgraphs || [],
+      externalIn: fieldInfo.federation?.externalIn || [],
+      location: fieldInfo.location || null,
+    },
+    implementations,
+    interfaces: (typeInfo.interfaces || []).filter((name) => analysis.types[name]?.fields[field]),
+    breaking: alreadyNullable ? [] : direct.filter((dep) => dep.impact === "breaks"),
+    review: alreadyNullable ? [] : direct.filter((dep) => dep.impact === "review"),
+    transitive: alreadyNullable ? [] : transitive,
+    entityResolution: alreadyNullable ? [] : keys,
+    subgraphs: subgraphs.map((name) => ({ name, team: options.owners?.[name] || null })),
+    ...(alreadyNullable && { note: `${target} is already nullable` }),
+  };
+}
+
+const CHANGE_TITLES = {
+  remove: (target) => `Removing \`${target}\``,
+  retype: (target) => `Changing the type of \`${target}\``,
+  nullable: (target) => `Making \`${target}\` nullable`,
+};
+
+// Renders an impact report as Markdown, to paste into a change review
+export function formatImpactReport(report) {
+  const lines = [`## Impact: ${CHANGE_TITLES[report.change](report.target)}`, ""];
+
+  lines.push(`- Type: \`${report.field.type}\``);
+  lines.push(`- Defined in: ${report.field.subgraphs.join(", ") || "-"}`);
+  if (report.field.externalIn.length > 0) {
+    lines.push(`- Declared @external in: ${report.field.externalIn.join(", ")}`);
+  }
+  if (report.implementations.length > 0) {
+    lines.push(`- Also on implementations: ${report.implementations.join(", ")}`);
+  }
+  if (report.interfaces.length > 0) {
+    lines.push(`- Required by interfaces: ${report.interfaces.join(", ")}`);
+  }
+  if (report.note) {
+    lines.push("", report.note);
+  }
+
+  const dependencyTable = (title, dependencies) => {
+    lines.push("", `### ${title} (${dependencies.length})`, "");
+    if (dependencies.length === 0) {
+      lines.push("None.");
+      return;
+    }
+    lines.push("| Field | Directive | Subgraph | Field set | Why | Location |");
+    lines.push("| --- | --- | --- | --- | --- | --- |");
+    dependencies.forEach((dep) => {
+      lines.push(
+        `| ${dep.dependingType}.${dep.dependingField} | @${dep.directive} | ${dep.dependingSubgraph} | \`${dep.fieldPath}\` | ${dep.reason} | ${formatLocation(dep.location) || "-"} |`
+      );
+    });
+  };
+
+  dependencyTable("Breaks", report.breaking);
+  dependencyTable("Needs review", report.review);
+
+  lines.push("", `### Transitive dependents (${report.transitive.length})`, "");
+  if (report.transitive.length === 0) {
+    lines.push("None.");
+  }
+  report.transitive.forEach((dep) => {
+    lines.push(`- ${dep.dependingType}.${dep.dependingField} (${dep.dependingSubgraph}): ${dep.chain.join(" <- ")}`);
+  });
+
+  lines.push("", `### Entity resolution paths (${report.entityResolution.length})`, "");
+  if (report.entityResolution.length === 0) {
+    lines.push("None.");
+  }
+  report.entityResolution.forEach((key) => {
+    const resolvable = key.resolvable ? "" : ", not resolvable";
+    lines.push(`- ${key.type} @key(fields: "${key.fields}") in ${key.subgraph}${resolvable}`);
+  });
+
+  lines.push("", "### Subgraphs involved", "");
+  report.subgraphs.forEach((subgraph) => {
+    lines.push(`- ${subgraph.name}${subgraph.team ? ` (${subgraph.team})` : ""}`);
+  });
+
+  return lines.join("\n");
+}
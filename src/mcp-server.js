@@ -8,11 +8,18 @@ import {
   ErrorCode,
   McpError
 } from '@modelcontextprotocol/sdk/types.js';
-import { analyzeSchema } from './analyzer.js';
-import { queryDependencies, queryAllDependencies, queryTypes } from './query.js';
+import { analyzeSchemas, collectSchemaSources, getSourcesCachePath, hasSameSources } from './analyzer.js';
+import {
+  queryDependencies,
+  queryFieldDependencies,
+  queryDependencyPaths,
+  queryAllDependencies,
+  queryTypes,
+  queryFederationDirectives,
+  formatLocation,
+} from './query.js';
 import { getCache, hasCache, listCachedSchemas } from './cache.js';
 import fs from 'fs-extra';
-import path from 'path';
 
 class FGQLAnalyzerServer {
   constructor() {
@@ -36,13 +43,13 @@ class FGQLAnalyzerServer {
       tools: [
         {
           name: 'analyze_schema',
-          description: 'Analyze a Federated GraphQL schema file and store the analysis',
+          description: 'Analyze a Federated GraphQL schema file, or a directory of subgraph schema files as one federated graph, and store the analysis',
           inputSchema: {
             type: 'object',
             properties: {
               schemaFile: {
                 type: 'string',
-                description: 'Path to the GraphQL schema file to analyze',
+                description: 'Path to the GraphQL schema file, or a directory of subgraph schema files, to analyze',
               },
               force: {
                 type: 'boolean',
@@ -76,6 +83,10 @@ class FGQLAnalyzerServer {
                 description: 'Optional: show only direct dependencies (no transitive dependencies)',
                 default: false,
               },
+              depth: {
+                type: 'number',
+                description: 'Optional: follow chains of transitive dependencies at most this many hops deep',
+              },
               includeSameType: {
                 type: 'boolean',
                 description: 'Optional: include dependencies from fields within the same type',
@@ -108,6 +119,10 @@ class FGQLAnalyzerServer {
                 description: 'Optional: show only direct dependencies (no transitive dependencies)',
                 default: false,
               },
+              depth: {
+                type: 'number',
+                description: 'Optional: follow chains of transitive dependencies at most this many hops deep',
+              },
               includeSameType: {
                 type: 'boolean',
                 description: 'Optional: include dependencies from fields within the same type',
@@ -117,6 +132,100 @@ class FGQLAnalyzerServer {
             required: ['type'],
           },
         },
+        {
+          name: 'list_field_dependencies',
+          description: 'List what a particular field (or every field of a type) depends on: the fields its @requires, @provides, @key and @fromContext field sets select, and the types it references',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                description: 'The GraphQL type whose dependencies to list',
+              },
+              field: {
+                type: 'string',
+                description: 'Optional: specific field within the type',
+              },
+              schemaFile: {
+                type: 'string',
+                description: 'Optional: specific schema file to query (uses most recent if not specified)',
+              },
+              direct: {
+                type: 'boolean',
+                description: 'Optional: show only direct dependencies (no transitive dependencies)',
+                default: false,
+              },
+              depth: {
+                type: 'number',
+                description: 'Optional: follow chains of transitive dependencies at most this many hops deep',
+              },
+              topLevel: {
+                type: 'boolean',
+                description: 'Optional: only fields named at the top level of field sets (no nested selections)',
+                default: false,
+              },
+              count: {
+                type: 'boolean',
+                description: 'Optional: return only the number of dependencies',
+                default: false,
+              },
+            },
+            required: ['type'],
+          },
+        },
+        {
+          name: 'find_dependency_path',
+          description: 'Explain how two parts of the graph are coupled: the chains of @requires, @provides, @key and @fromContext dependencies from one field or type to another, with the directive and subgraph of each hop',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              from: {
+                type: 'string',
+                description: 'The depending field as Type.field, or a type name for any of its fields',
+              },
+              to: {
+                type: 'string',
+                description: 'The depended-on field as Type.field, or a type name for any of its fields',
+              },
+              all: {
+                type: 'boolean',
+                description: 'Optional: return every path instead of only the shortest',
+                default: false,
+              },
+              maxDepth: {
+                type: 'number',
+                description: 'Optional: longest chain to look for (default: 10)',
+              },
+              schemaFile: {
+                type: 'string',
+                description: 'Optional: specific schema file to query (uses most recent if not specified)',
+              },
+            },
+            required: ['from', 'to'],
+          },
+        },
+        {
+          name: 'list_federation_directives',
+          description: 'List types and fields using Federation 2 directives: @override (with source subgraph and label), @shareable (with subgraphs), @inaccessible, @tag and @interfaceObject',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              directive: {
+                type: 'string',
+                enum: ['override', 'shareable', 'inaccessible', 'tag', 'interfaceObject'],
+                description: 'Optional: only list entries for this directive',
+              },
+              tag: {
+                type: 'string',
+                description: 'Optional: only list types and fields with this @tag name',
+              },
+              schemaFile: {
+                type: 'string',
+                description: 'Optional: specific schema file to query (uses most recent if not specified)',
+              },
+            },
+          },
+        },
         {
           name: 'list_analyzed_schemas',
           description: 'List all analyzed schema files with their metadata',
@@ -149,6 +258,12 @@ class FGQLAnalyzerServer {
           return await this.countDependencies(request.params.arguments);
         case 'list_dependencies':
           return await this.listDependencies(request.params.arguments);
+        case 'list_field_dependencies':
+          return await this.listFieldDependencies(request.params.arguments);
+        case 'find_dependency_path':
+          return await this.findDependencyPath(request.params.arguments);
+        case 'list_federation_directives':
+          return await this.listFederationDirectives(request.params.arguments);
         case 'list_analyzed_schemas':
           return await this.listAnalyzedSchemas();
         case 'list_types':
@@ -166,16 +281,16 @@ class FGQLAnalyzerServer {
     const { schemaFile, force = false } = args;
 
     try {
-      const absolutePath = path.resolve(schemaFile);
+      const absolutePath = getSourcesCachePath([schemaFile]);
       
       if (!await fs.pathExists(absolutePath)) {
         throw new Error(`Schema file not found: ${schemaFile}`);
       }
 
-      const cacheExists = await hasCache(absolutePath);
+      const sources = await collectSchemaSources([absolutePath]);
+      const cache = await hasCache(absolutePath) ? await getCache(absolutePath) : null;
       
-      if (cacheExists && !force) {
-        const cache = await getCache(absolutePath);
+      if (cache && hasSameSources(cache, sources) && !force) {
         return {
           content: [
             {
@@ -186,14 +301,16 @@ class FGQLAnalyzerServer {
         };
       }
 
-      const schemaContent = await fs.readFile(absolutePath, 'utf-8');
-      const analysis = await analyzeSchema(schemaContent, absolutePath);
+      const analysis = await analyzeSchemas(sources, absolutePath);
+      const diagnostics = analysis.diagnostics.length > 0
+        ? `\n\nProblems found while reading directives:\n${analysis.diagnostics.map(d => `- ${d.location ? formatLocation(d.location) + ' ' : ''}${d.message}`).join('\n')}`
+        : '';
       
       return {
         content: [
           {
             type: 'text',
-            text: `Analysis complete!\n- Total types analyzed: ${analysis.metadata.totalTypes}\n- Total dependencies found: ${analysis.metadata.totalDependencies}\n- Cache saved for quick queries`,
+            text: `Analysis complete!\n- Subgraphs analyzed: ${analysis.metadata.subgraphs.join(', ')}\n- Total types analyzed: ${analysis.metadata.totalTypes}\n- Total dependencies found: ${analysis.metadata.totalDependencies}\n- Cache saved for quick queries${diagnostics}`,
           },
         ],
       };
@@ -206,7 +323,7 @@ class FGQLAnalyzerServer {
   }
 
   async countDependencies(args) {
-    const { type, field, schemaFile, direct = false, includeSameType = false } = args;
+    const { type, field, schemaFile, direct = false, includeSameType = false, depth } = args;
 
     try {
       const options = {
@@ -214,6 +331,7 @@ class FGQLAnalyzerServer {
         schema: schemaFile,
         direct,
         includeSameType,
+        depth,
       };
 
       const results = await queryDependencies(type, options);
@@ -235,7 +353,7 @@ class FGQLAnalyzerServer {
   }
 
   async listDependencies(args) {
-    const { type, field, schemaFile, direct = false, includeSameType = false } = args;
+    const { type, field, schemaFile, direct = false, includeSameType = false, depth } = args;
 
     try {
       const options = {
@@ -243,6 +361,7 @@ class FGQLAnalyzerServer {
         schema: schemaFile,
         direct,
         includeSameType,
+        depth,
       };
 
       const results = await queryDependencies(type, options);
@@ -266,6 +385,10 @@ class FGQLAnalyzerServer {
           subgraph: dep.dependingSubgraph,
           dependsOn: dependedPath,
           via: `@${dep.directive}`,
+          ...(dep.context && { context: dep.context, argument: dep.argument }),
+          ...(dep.key && { key: dep.key.fields, keySubgraph: dep.key.subgraph }),
+          ...(dep.depth > 1 && { depth: dep.depth, chain: dep.chain }),
+          ...(dep.location && { location: formatLocation(dep.location) }),
         };
       });
 
@@ -285,6 +408,139 @@ class FGQLAnalyzerServer {
     }
   }
 
+  async listFieldDependencies(args) {
+    const { type, field, schemaFile, direct = false, depth, topLevel = false, count = false } = args;
+    const target = `${type}${field ? '.' + field : ''}`;
+
+    try {
+      const results = await queryFieldDependencies(type, {
+        field,
+        schema: schemaFile,
+        direct,
+        depth,
+        topLevel,
+      });
+
+      if (count || results.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Found ${results.length} dependencies of ${target}`,
+            },
+          ],
+        };
+      }
+
+      const formattedResults = results.map(dep => ({
+        dependingField: `${dep.dependingType}.${dep.dependingField}`,
+        subgraph: dep.dependingSubgraph,
+        dependsOn: `${dep.dependedType}.${dep.dependedField}`,
+        path: dep.fieldPath,
+        via: `@${dep.directive}`,
+        ...(dep.context && { context: dep.context, argument: dep.argument }),
+        ...(dep.key && { key: dep.key.fields, keySubgraph: dep.key.subgraph }),
+        ...(dep.depth > 1 && { depth: dep.depth, chain: dep.chain }),
+        ...(dep.location && { location: formatLocation(dep.location) }),
+      }));
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(formattedResults, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to list field dependencies: ${error.message}`
+      );
+    }
+  }
+
+  async findDependencyPath(args) {
+    const { from, to, all = false, maxDepth, schemaFile } = args;
+
+    try {
+      const paths = await queryDependencyPaths(from, to, {
+        all,
+        maxDepth,
+        schema: schemaFile,
+      });
+
+      if (paths.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No dependency path from ${from} to ${to}`,
+            },
+          ],
+        };
+      }
+
+      const formattedPaths = paths.map(dependencyPath =>
+        dependencyPath.hops.map(hop => ({
+          ...hop,
+          ...(hop.location && { location: formatLocation(hop.location) }),
+        }))
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(formattedPaths, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to find dependency path: ${error.message}`
+      );
+    }
+  }
+
+  async listFederationDirectives(args) {
+    const { directive, tag, schemaFile } = args || {};
+
+    try {
+      const entries = await queryFederationDirectives({
+        directive,
+        tag,
+        schema: schemaFile,
+      });
+
+      if (entries.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No federation directives found${directive ? ` for @${directive}` : ''}`,
+            },
+          ],
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(entries, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to list federation directives: ${error.message}`
+      );
+    }
+  }
+
   async listAnalyzedSchemas() {
     try {
       const schemas = await listCachedSchemas();
@@ -0,0 +1,201 @@
+import Table from "cli-table3";
+import chalk from "chalk";
+import { getCache, getMostRecentCache } from "./cache.js";
+import { fieldKey, getResolvingSubgraphs, isStructuralDependency, isSubgraph } from "./graph.js";
+
+// Rolls the dependencies of an analysis up to subgraph level. Each dependency is an
+// edge from its subgraph to every subgraph resolving the field it depends on; edges
+// within a subgraph don't count as coupling. Per subgraph, fan-out is the number of
+// subgraphs it depends on and fan-in the number depending on it, and instability is
+// fan-out / (fan-in + fan-out): 0 for subgraphs others lean on, 1 for ones that only
+// lean on others. Hotspots are the fields depended on by the most fields.
+export function computeMetrics(analysis, options = {}) {
+  const directive = options.directive?.replace(/^@/, "");
+  const dependencies = analysis.dependencies.filter(
+    (dep) => !isStructuralDependency(dep) && (!directive || dep.directive === directive)
+  );
+
+  const subgraphNames = new Set((analysis.metadata.subgraphs || []).filter(isSubgraph));
+  const cells = new Map();
+  const edges = [];
+
+  dependencies.forEach((dep) => {
+    const from = dep.dependingSubgraph;
+    if (!isSubgraph(from)) return;
+    subgraphNames.add(from);
+
+    getResolvingSubgraphs(analysis, dep.dependedType, dep.dependedField)
+      .filter((to) => isSubgraph(to) && to !== from)
+      .forEach((to) => {
+        subgraphNames.add(to);
+        edges.push({ from, to, dep });
+
+        const id = `${from}|${to}`;
+        if (!cells.has(id)) cells.set(id, { from, to, total: 0, byDirective: {} });
+        const cell = cells.get(id);
+        cell.total += 1;
+        cell.byDirective[dep.directive] = (cell.byDirective[dep.directive] || 0) + 1;
+      });
+  });
+
+  const subgraphs = [...subgraphNames].sort().map((name) => {
+    const outgoing = edges.filter((edge) => edge.from === name);
+    const incoming = edges.filter((edge) => edge.to === name);
+    const fanOut = new Set(outgoing.map((edge) => edge.to)).size;
+    const fanIn = new Set(incoming.map((edge) => edge.from)).size;
+
+    return {
+      name,
+      fanIn,
+      fanOut,
+      dependenciesIn: incoming.length,
+      dependenciesOut: outgoing.length,
+      instability: fanIn + fanOut === 0 ? 0 : round(fanOut / (fanIn + fanOut)),
+    };
+  });
+
+  const matrix = [...cells.values()].sort((a, b) => compare(a.from, b.from) || compare(a.to, b.to));
+
+  return {
+    directive: directive || null,
+    subgraphs,
+    matrix,
+    hotspots: findHotspots(analysis, dependencies, options.top ?? 10),
+  };
+}
+
+export async function queryMetrics(options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  return computeMetrics(analysis, options);
+}
+
+// Fields depended on by the most other fields, with the directives and subgraphs involved.
+// A field's @external declaration of itself isn't counted.
+function findHotspots(analysis, dependencies, top) {
+  const hotspots = new Map();
+
+  dependencies.forEach((dep) => {
+    const field = fieldKey(dep.dependedType, dep.dependedField);
+    const depending = fieldKey(dep.dependingType, dep.dependingField);
+    if (field === depending) return;
+
+    if (!hotspots.has(field)) {
+      hotspots.set(field, {
+        field,
+        resolvedBy: getResolvingSubgraphs(analysis, dep.dependedType, dep.dependedField),
+        dependents: new Set(),
+        byDirective: {},
+        subgraphs: new Set(),
+      });
+    }
+    const hotspot = hotspots.get(field);
+    hotspot.dependents.add(depending);
+    hotspot.byDirective[dep.directive] = (hotspot.byDirective[dep.directive] || 0) + 1;
+    if (isSubgraph(dep.dependingSubgraph)) hotspot.subgraphs.add(dep.dependingSubgraph);
+  });
+
+  return [...hotspots.values()]
+    .map((hotspot) => ({
+      ...hotspot,
+      dependents: hotspot.dependents.size,
+      subgraphs: [...hotspot.subgraphs].sort(),
+    }))
+    .sort((a, b) => b.dependents - a.dependents || compare(a.field, b.field))
+    .slice(0, top);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function formatDirectiveCounts(byDirective) {
+  return Object.entries(byDirective)
+    .sort(([a], [b]) => compare(a, b))
+    .map(([directive, count]) => `@${directive} ${count}`)
+    .join("\n");
+}
+
+// Renders metrics as three tables: per-subgraph coupling, the subgraph × subgraph
+// matrix (rows depend on columns) and the hotspots
+export function formatMetricsTables(metrics) {
+  const style = { head: [], border: [] };
+
+  const subgraphTable = new Table({
+    head: [
+      chalk.cyan("Subgraph"),
+      chalk.cyan("Fan-in"),
+      chalk.cyan("Fan-out"),
+      chalk.cyan("Deps In"),
+      chalk.cyan("Deps Out"),
+      chalk.cyan("Instability"),
+    ],
+    style,
+  });
+  metrics.subgraphs.forEach((subgraph) => {
+    subgraphTable.push([
+      subgraph.name,
+      subgraph.fanIn,
+      subgraph.fanOut,
+      subgraph.dependenciesIn,
+      subgraph.dependenciesOut,
+      subgraph.instability.toFixed(2),
+    ]);
+  });
+
+  const names = metrics.subgraphs.map((subgraph) => subgraph.name);
+  const matrixTable = new Table({
+    head: [chalk.cyan("Depends on →"), ...names.map((name) => chalk.cyan(name))],
+    style,
+  });
+  names.forEach((from) => {
+    matrixTable.push([
+      from,
+      ...names.map((to) => {
+        if (from === to) return chalk.gray("-");
+        const cell = metrics.matrix.find((c) => c.from === from && c.to === to);
+        return cell ? `${cell.total}\n${chalk.gray(formatDirectiveCounts(cell.byDirective))}` : "";
+      }),
+    ]);
+  });
+
+  const hotspotTable = new Table({
+    head: [
+      chalk.cyan("Field"),
+      chalk.cyan("Resolved By"),
+      chalk.cyan("Dependents"),
+      chalk.cyan("Via"),
+      chalk.cyan("From Subgraphs"),
+    ],
+    style,
+  });
+  metrics.hotspots.forEach((hotspot) => {
+    hotspotTable.push([
+      hotspot.field,
+      hotspot.resolvedBy.join(", "),
+      hotspot.dependents,
+      formatDirectiveCounts(hotspot.byDirective),
+      hotspot.subgraphs.join(", "),
+    ]);
+  });
+
+  const only = metrics.directive ? ` (@${metrics.directive} only)` : "";
+  return [
+    chalk.green(`Subgraph coupling${only}:`),
+    subgraphTable.toString(),
+    chalk.green("\nDependency matrix (rows depend on columns):"),
+    matrixTable.toString(),
+    chalk.green("\nHotspots (most depended-on fields):"),
+    hotspotTable.toString(),
+  ].join("\n");
+}
@@ -0,0 +1,336 @@
+import fs from "fs-extra";
+import path from "path";
+import { parse, Source, Kind } from "graphql";
+import { getCache, getMostRecentCache } from "./cache.js";
+import { getNodeLocation } from "./analyzer.js";
+import { parseFieldReference } from "./query.js";
+import { fieldKey, getResolvingSubgraphs, isSubgraph } from "./graph.js";
+
+const OPERATION_EXTENSIONS = [".graphql", ".gql"];
+
+// Root types operations start from; schema definitions renaming them are not recorded
+const ROOT_TYPES = { query: "Query", mutation: "Mutation", subscription: "Subscription" };
+
+// Reads client operation documents from files and directories, searching directories
+// recursively since operations usually live next to the components that use them.
+export async function collectOperationSources(inputPaths) {
+  const sources = [];
+
+  const addPath = async (filePath) => {
+    const stat = await fs.stat(filePath);
+    if (stat.isDirectory()) {
+      const names = (await fs.readdir(filePath)).sort();
+      for (const name of names) {
+        const childPath = path.join(filePath, name);
+        if (name === "node_modules") continue;
+        if ((await fs.stat(childPath)).isDirectory() || OPERATION_EXTENSIONS.includes(path.extname(name))) {
+          await addPath(childPath);
+        }
+      }
+      return;
+    }
+
+    sources.push({ filePath, content: await fs.readFile(filePath, "utf-8") });
+  };
+
+  for (const inputPath of inputPaths) {
+    const absolutePath = path.resolve(inputPath);
+
+    if (!(await fs.pathExists(absolutePath))) {
+      throw new Error(`Operation file not found: ${inputPath}`);
+    }
+
+    await addPath(absolutePath);
+  }
+
+  if (sources.length === 0) {
+    throw new Error(`No operation files found in: ${inputPaths.join(", ")}`);
+  }
+
+  return sources;
+}
+
+// Loads the analysis to walk operations against and parses the operation sources.
+// The returned context indexes fragments (which may be defined in any of the sources)
+// and the @requires and @provides dependencies by field. Key fields a field set selects
+// are recorded as "key" dependencies and indexed with the directive selecting them.
+export async function loadOperationContext(sources, options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  const documents = sources.map((source) => {
+    try {
+      return parse(new Source(source.content, source.filePath));
+    } catch (error) {
+      throw new Error(`${source.filePath}: ${error.message}`);
+    }
+  });
+
+  const context = {
+    analysis,
+    operations: [],
+    fragments: new Map(),
+    requires: indexDependencies(analysis.dependencies, "requires"),
+    provides: indexDependencies(analysis.dependencies, "provides"),
+  };
+  documents.forEach((document) => {
+    document.definitions.forEach((definition) => {
+      if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+        context.fragments.set(definition.name.value, definition);
+      } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+        context.operations.push(definition);
+      }
+    });
+  });
+
+  return context;
+}
+
+// Walks each client operation against the analyzed type model and reports, per
+// operation, the subgraphs it touches, the @requires fields it pulls in indirectly
+// (following requirements of requirements) and the @provides shortcuts that apply.
+export async function analyzeOperations(sources, options = {}) {
+  const context = await loadOperationContext(sources, options);
+  const reports = context.operations.map((operation) => analyzeOperation(context, operation));
+
+  if (!options.requires) {
+    return reports;
+  }
+
+  // Only operations that pull in the given field (or any field of a type) through @requires
+  const { type, field } = parseFieldReference(options.requires);
+  const matches = (key) => (field ? key === fieldKey(type, field) : key.startsWith(`${type}.`));
+  return reports.filter((report) =>
+    report.requires.some((requirement) => matches(requirement.field) || matches(requirement.requiredBy))
+  );
+}
+
+function analyzeOperation(context, operation) {
+  const report = {
+    name: operation.name?.value || null,
+    operation: operation.operation,
+    location: getNodeLocation(operation),
+    subgraphs: [],
+    fields: [],
+    requires: [],
+    provides: [],
+    problems: [],
+  };
+
+  const rootState = createWalkState({ subgraph: null, providers: [] });
+  walkSelections(context, getRootType(operation), operation.selectionSet, rootState, {
+    field(typeName, node, fieldInfo, state) {
+      const key = fieldKey(typeName, node.name.value);
+      const path = state.path.join(".");
+
+      // A field inside a @provides selection comes from the providing subgraph, no entity fetch needed
+      const provider = findProvider(state.providers, state.namePath);
+      const subgraph = provider
+        ? provider.subgraph
+        : chooseSubgraph(getResolvingSubgraphs(context.analysis, typeName, node.name.value), state.subgraph, report.subgraphs);
+
+      if (!report.fields.some((f) => f.field === key && f.path === path)) {
+        report.fields.push({ field: key, path, subgraph, ...(provider && { providedBy: provider.field }) });
+      }
+      if (provider) {
+        let shortcut = report.provides.find((p) => p.field === provider.field && p.path === provider.path);
+        if (!shortcut) {
+          shortcut = { field: provider.field, path: provider.path, subgraph: provider.subgraph, fields: [] };
+          report.provides.push(shortcut);
+        }
+        if (!shortcut.fields.includes(key)) shortcut.fields.push(key);
+      }
+      addSubgraph(report, subgraph);
+      addRequirements(context, report, typeName, node.name.value, subgraph, path, new Set([key]));
+
+      return { ...state, subgraph, providers: addProviders(context, state, typeName, node.name.value, subgraph) };
+    },
+    problem(code, message, node) {
+      report.problems.push({ severity: "error", code, message, location: getNodeLocation(node) });
+    },
+  });
+
+  return report;
+}
+
+export function getRootType(operation) {
+  return ROOT_TYPES[operation.operation];
+}
+
+export function createWalkState(state) {
+  return { path: [], namePath: [], fragments: new Set(), ...state };
+}
+
+// Visits the fields of a selection set, expanding fragments. For each field the
+// visitor's field(typeName, node, fieldInfo, state) gets the state extended with the
+// field's response `path` and schema `namePath`, and returns the state its selections
+// are walked with, or nothing to skip them. Unknown types, fields and fragments go to
+// the visitor's problem(code, message, node).
+export function walkSelections(context, typeName, selectionSet, state, visitor) {
+  selectionSet.selections.forEach((selection) => {
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const condition = selection.typeCondition?.name.value || typeName;
+      if (selection.typeCondition && !isKnownType(context, condition)) {
+        visitor.problem("unknown-type", `Type "${condition}" of inline fragment not found in schema`, selection);
+        return;
+      }
+      walkSelections(context, condition, selection.selectionSet, state, visitor);
+      return;
+    }
+
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      const fragment = context.fragments.get(name);
+      if (!fragment) {
+        visitor.problem("unknown-fragment", `Unknown fragment "${name}"`, selection);
+        return;
+      }
+      // Fragments spreading themselves are invalid; don't loop on them
+      if (state.fragments.has(name)) return;
+      if (!isKnownType(context, fragment.typeCondition.name.value)) {
+        visitor.problem(
+          "unknown-type",
+          `Type "${fragment.typeCondition.name.value}" of fragment "${name}" not found in schema`,
+          selection
+        );
+        return;
+      }
+
+      walkSelections(context, fragment.typeCondition.name.value, fragment.selectionSet, {
+        ...state,
+        fragments: new Set([...state.fragments, name]),
+      }, visitor);
+      return;
+    }
+
+    const fieldName = selection.name.value;
+    if (fieldName.startsWith("__")) return;
+
+    const typeInfo = context.analysis.types[typeName];
+    const fieldInfo = typeInfo?.fields[fieldName];
+    if (!typeInfo) {
+      visitor.problem("unknown-type", `Type "${typeName}" not found in schema`, selection);
+      return;
+    }
+    if (!fieldInfo) {
+      visitor.problem("unknown-field", `Field "${fieldName}" not found on type "${typeName}"`, selection);
+      return;
+    }
+
+    const childState = visitor.field(typeName, selection, fieldInfo, {
+      ...state,
+      path: [...state.path, selection.alias?.value || fieldName],
+      namePath: [...state.namePath, fieldName],
+    });
+    if (selection.selectionSet && childState) {
+      walkSelections(context, fieldInfo.type, selection.selectionSet, childState, visitor);
+    }
+  });
+}
+
+// Object types and interfaces carry fields; a union only groups its members' fragments
+function isKnownType(context, typeName) {
+  return Boolean(context.analysis.types[typeName] || context.analysis.unions?.[typeName]);
+}
+
+// The @provides in effect covering the field at namePath, if any
+export function findProvider(providers, namePath) {
+  return providers.find((provider) => provider.paths.includes(namePath.slice(provider.start).join(".")));
+}
+
+// Adds the @provides a field has in the subgraph resolving it to the providers its
+// selections are walked with
+export function addProviders(context, state, typeName, fieldName, subgraph) {
+  const key = fieldKey(typeName, fieldName);
+  const provides = (context.provides.get(key) || []).filter((dep) => !subgraph || dep.dependingSubgraph === subgraph);
+  if (provides.length === 0) return state.providers;
+
+  return [
+    ...state.providers,
+    {
+      field: key,
+      path: state.path.join("."),
+      subgraph,
+      start: state.namePath.length,
+      paths: provides.map((dep) => dep.fieldPath),
+    },
+  ];
+}
+
+// The @requires dependencies of a field resolved in the given subgraph, leaves only:
+// "product" in "product { price }" is the way to the field that gets fetched
+export function getRequirements(context, typeName, fieldName, subgraph) {
+  const requirements = (context.requires.get(fieldKey(typeName, fieldName)) || []).filter(
+    (dep) => !subgraph || dep.dependingSubgraph === subgraph
+  );
+
+  return requirements.filter(
+    (dep) =>
+      !requirements.some(
+        (other) => other.dependingSubgraph === dep.dependingSubgraph && other.fieldPath.startsWith(`${dep.fieldPath}.`)
+      )
+  );
+}
+
+// Records the fields a resolved field @requires, and what those fields require in turn
+function addRequirements(context, report, typeName, fieldName, subgraph, path, seen) {
+  const requiredBy = fieldKey(typeName, fieldName);
+
+  getRequirements(context, typeName, fieldName, subgraph).forEach((dep) => {
+    const required = fieldKey(dep.dependedType, dep.dependedField);
+    if (seen.has(required)) return;
+
+    const requiredSubgraph = chooseSubgraph(
+      getResolvingSubgraphs(context.analysis, dep.dependedType, dep.dependedField),
+      null,
+      report.subgraphs
+    );
+    const exists = report.requires.some(
+      (r) => r.path === path && r.requiredBy === requiredBy && r.field === required
+    );
+    if (!exists) {
+      report.requires.push({
+        field: required,
+        requiredBy,
+        path,
+        subgraph: requiredSubgraph,
+        requiringSubgraph: dep.dependingSubgraph,
+        fieldSet: dep.fieldPath,
+        ...(dep.directive === "key" && { keyField: true }),
+        location: dep.location || null,
+      });
+    }
+    addSubgraph(report, requiredSubgraph);
+    addRequirements(context, report, dep.dependedType, dep.dependedField, requiredSubgraph, path, new Set([...seen, required]));
+  });
+}
+
+// Picks the subgraph a field is fetched from: the parent's when it resolves the field
+// (no entity fetch), else one the operation already touches, else the first resolver.
+export function chooseSubgraph(candidates, parentSubgraph, touched) {
+  if (parentSubgraph && candidates.includes(parentSubgraph)) return parentSubgraph;
+  return candidates.find((subgraph) => touched.includes(subgraph)) || candidates[0] || null;
+}
+
+function addSubgraph(report, subgraph) {
+  if (isSubgraph(subgraph) && !report.subgraphs.includes(subgraph)) {
+    report.subgraphs.push(subgraph);
+  }
+}
+
+function indexDependencies(dependencies, directive) {
+  const index = new Map();
+  dependencies
+    .filter((dep) => dep.directive === directive || dep.fieldSetDirective === directive)
+    .forEach((dep) => {
+      const key = fieldKey(dep.dependingType, dep.dependingField);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(dep);
+    });
+  return index;
+}
@@ -0,0 +1,250 @@
+import { getNodeLocation } from "./analyzer.js";
+import { fieldKey, getResolvingSubgraphs } from "./graph.js";
+import {
+  loadOperationContext,
+  walkSelections,
+  createWalkState,
+  getRootType,
+  findProvider,
+  addProviders,
+  getRequirements,
+  chooseSubgraph,
+} from "./operations.js";
+
+// Simulates, roughly, how a router would plan each client operation: a root fetch per
+// subgraph serving root fields (one after another for mutations), entity fetches
+// through _entities with the target subgraph's @key wherever a field isn't resolved by
+// the subgraph that returned its parent, and fetches of @requires fields before the
+// fields needing them. @provides lets the providing subgraph resolve fields without an
+// entity fetch. It doesn't match a real query planner exactly, but shows where the
+// sequential hops of an operation come from.
+export async function planOperations(sources, options = {}) {
+  const context = await loadOperationContext(sources, options);
+  const plans = context.operations.map((operation) => planOperation(context, operation));
+
+  if (!options.operation) {
+    return plans;
+  }
+  return plans.filter((plan) => plan.name === options.operation);
+}
+
+function planOperation(context, operation) {
+  const plan = {
+    name: operation.name?.value || null,
+    operation: operation.operation,
+    location: getNodeLocation(operation),
+    hops: 0,
+    fetches: [],
+    shortcuts: [],
+    problems: [],
+  };
+
+  const rootState = createWalkState({ fetch: null, providers: [] });
+  walkSelections(context, getRootType(operation), operation.selectionSet, rootState, {
+    field(typeName, node, fieldInfo, state) {
+      const fieldName = node.name.value;
+      const provider = findProvider(state.providers, state.namePath);
+
+      const fetch = state.fetch
+        ? placeField(context, plan, state.fetch, typeName, fieldName, state.path, { provider, seen: new Set() })
+        : placeRootField(context, plan, operation, typeName, fieldName, state.path);
+      if (!fetch) return null;
+
+      return { ...state, fetch, providers: addProviders(context, state, typeName, fieldName, fetch.subgraph) };
+    },
+    problem(code, message, node) {
+      plan.problems.push({ severity: "error", code, message, location: getNodeLocation(node) });
+    },
+  });
+
+  plan.fetches.forEach((fetch) => {
+    fetch.hop = 1 + Math.max(0, ...fetch.dependsOn.map((id) => plan.fetches[id - 1].hop));
+  });
+  plan.hops = Math.max(0, ...plan.fetches.map((fetch) => fetch.hop));
+
+  return plan;
+}
+
+// Root fields of a query are fetched in parallel, one fetch per subgraph; those of
+// a mutation run in order, so consecutive fields of a subgraph share a fetch
+function placeRootField(context, plan, operation, typeName, fieldName, path) {
+  const resolving = getResolvingSubgraphs(context.analysis, typeName, fieldName);
+  const subgraph = chooseSubgraph(resolving, null, getSubgraphs(plan));
+  if (!subgraph) {
+    plan.problems.push({
+      severity: "error",
+      code: "unresolvable-field",
+      message: `No subgraph resolves ${fieldKey(typeName, fieldName)}`,
+      location: null,
+    });
+    return null;
+  }
+
+  const roots = plan.fetches.filter((fetch) => fetch.kind === "root");
+  const last = roots[roots.length - 1];
+  let fetch =
+    operation.operation === "mutation"
+      ? (last?.subgraph === subgraph ? last : null)
+      : roots.find((root) => root.subgraph === subgraph);
+  if (!fetch) {
+    fetch = addFetch(plan, {
+      kind: "root",
+      subgraph,
+      type: typeName,
+      path: "",
+      key: null,
+      dependsOn: operation.operation === "mutation" && last ? [last.id] : [],
+    });
+  }
+
+  addFetchField(fetch, { field: fieldKey(typeName, fieldName), path: path.join(".") });
+  return fetch;
+}
+
+// Works out which fetch resolves a field whose parent object comes from parentFetch:
+// the same fetch when its subgraph resolves (or @provides) the field, else an entity
+// fetch to a subgraph that does. Fields the field @requires are placed first, and the
+// field's own fetch waits for theirs.
+function placeField(context, plan, parentFetch, typeName, fieldName, path, options) {
+  const key = fieldKey(typeName, fieldName);
+  const entityPath = path.slice(0, -1).join(".");
+  const resolving = getResolvingSubgraphs(context.analysis, typeName, fieldName);
+  const provided = options.provider && options.provider.subgraph === parentFetch.subgraph;
+
+  let subgraph = parentFetch.subgraph;
+  if (!provided && !resolving.includes(parentFetch.subgraph)) {
+    subgraph = chooseSubgraph(resolving, null, getSubgraphs(plan));
+    if (!subgraph) {
+      plan.problems.push({
+        severity: "error",
+        code: "unresolvable-field",
+        message: `No subgraph resolves ${key}`,
+        location: null,
+      });
+      return null;
+    }
+  } else if (provided && !resolving.includes(parentFetch.subgraph)) {
+    plan.shortcuts.push({
+      field: key,
+      path: path.join("."),
+      subgraph: parentFetch.subgraph,
+      providedBy: options.provider.field,
+    });
+  }
+
+  let dependsOn = [parentFetch.id];
+  const requirements = provided ? [] : getRequirements(context, typeName, fieldName, subgraph);
+  if (requirements.length > 0) {
+    const seen = new Set([...options.seen, key]);
+    const requiredFetches = requirements
+      .filter((dep) => !seen.has(fieldKey(dep.dependedType, dep.dependedField)))
+      .map((dep) => {
+        const requiredPath = [...path.slice(0, -1), ...dep.fieldPath.split(".")];
+        const requiredFetch = placeField(context, plan, parentFetch, dep.dependedType, dep.dependedField, requiredPath, {
+          seen,
+          requiredBy: key,
+        });
+        return requiredFetch?.id;
+      })
+      .filter(Boolean);
+    dependsOn = [...new Set(requiredFetches)];
+    if (dependsOn.length === 0) dependsOn = [parentFetch.id];
+  }
+
+  let fetch = parentFetch;
+  if (subgraph !== parentFetch.subgraph || dependsOn.some((id) => id !== parentFetch.id)) {
+    fetch = getEntityFetch(context, plan, { subgraph, type: typeName, path: entityPath, dependsOn });
+  }
+
+  addFetchField(fetch, {
+    field: key,
+    path: path.join("."),
+    ...(options.requiredBy && { requiredBy: options.requiredBy }),
+    ...(provided && { providedBy: options.provider.field }),
+  });
+  return fetch;
+}
+
+// Entity fetches for the same type, path and subgraph that wait on the same fetches are merged
+function getEntityFetch(context, plan, { subgraph, type, path, dependsOn }) {
+  const ids = [...dependsOn].sort((a, b) => a - b);
+  const existing = plan.fetches.find(
+    (fetch) =>
+      fetch.kind === "entity" &&
+      fetch.subgraph === subgraph &&
+      fetch.type === type &&
+      fetch.path === path &&
+      fetch.dependsOn.join(",") === ids.join(",")
+  );
+  if (existing) return existing;
+
+  const keys = context.analysis.types[type]?.keys || [];
+  const key = keys.find((k) => k.subgraph === subgraph && k.resolvable) || null;
+  const message = `${type} has no resolvable @key in subgraph ${subgraph}, so it can't be fetched through _entities`;
+  if (!key && !plan.problems.some((problem) => problem.message === message)) {
+    plan.problems.push({ severity: "warning", code: "no-entity-key", message, location: null });
+  }
+
+  return addFetch(plan, { kind: "entity", subgraph, type, path, key: key?.fields || null, dependsOn: ids });
+}
+
+function addFetch(plan, fetch) {
+  const added = { id: plan.fetches.length + 1, ...fetch, fields: [], hop: 0 };
+  plan.fetches.push(added);
+  return added;
+}
+
+function addFetchField(fetch, field) {
+  if (!fetch.fields.some((f) => f.field === field.field && f.path === field.path)) {
+    fetch.fields.push(field);
+  }
+}
+
+function getSubgraphs(plan) {
+  return plan.fetches.map((fetch) => fetch.subgraph);
+}
+
+// Renders a plan as an indented fetch tree. Each fetch sits under the fetch it waits
+// on last; any others it waits on are listed with it.
+export function formatPlan(plan) {
+  const title = `${plan.operation} ${plan.name || "(anonymous)"}`;
+  const lines = [`${title}: ${plan.fetches.length} fetches, ${plan.hops} sequential hop${plan.hops === 1 ? "" : "s"}`];
+
+  const children = new Map();
+  plan.fetches.forEach((fetch) => {
+    const parent = fetch.dependsOn.length > 0 ? fetch.dependsOn[fetch.dependsOn.length - 1] : 0;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(fetch);
+  });
+
+  const printFetch = (fetch, indent) => {
+    const target =
+      fetch.kind === "root"
+        ? `${fetch.type}`
+        : `_entities(${fetch.type} at ${fetch.path || "root"}, key: ${fetch.key ? `"${fetch.key}"` : "none"})`;
+    const waitsFor = fetch.dependsOn.slice(0, -1);
+    const after = waitsFor.length > 0 ? ` after ${waitsFor.map((id) => `#${id}`).join(", ")}` : "";
+    lines.push(`${indent}#${fetch.id} [hop ${fetch.hop}] ${fetch.subgraph}: ${target}${after}`);
+
+    fetch.fields.forEach((field) => {
+      const note = field.requiredBy
+        ? ` (for @requires of ${field.requiredBy})`
+        : field.providedBy
+          ? ` (@provides from ${field.providedBy})`
+          : "";
+      lines.push(`${indent}    ${field.field} at ${field.path}${note}`);
+    });
+
+    (children.get(fetch.id) || []).forEach((child) => printFetch(child, `${indent}  `));
+  };
+  (children.get(0) || []).forEach((fetch) => printFetch(fetch, "  "));
+
+  if (plan.shortcuts.length > 0) {
+    lines.push("  Fetches skipped by @provides:");
+    plan.shortcuts.forEach((shortcut) => {
+      lines.push(`    ${shortcut.field} at ${shortcut.path}, provided by ${shortcut.providedBy} in ${shortcut.subgraph}`);
+    });
+  }
+
+  return lines.join("\n");
+}
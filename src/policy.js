@@ -0,0 +1,189 @@
+import fs from "fs-extra";
+import path from "path";
+import yaml from "js-yaml";
+import { getCache, getMostRecentCache } from "./cache.js";
+import { getResolvingSubgraphs, isStructuralDependency } from "./graph.js";
+
+export const POLICY_FILES = [".fgqlpolicy.json", ".fgqlpolicy.yaml", ".fgqlpolicy.yml"];
+
+const EFFECTS = ["deny", "allow"];
+const SEVERITIES = ["error", "warning"];
+
+// Properties of a dependency record a rule can match on. Strings may use * wildcards,
+// lists match any of their values.
+const MATCHERS = {
+  directive: (dep) => [dep.directive],
+  dependingSubgraph: (dep) => [dep.dependingSubgraph],
+  dependingType: (dep) => [dep.dependingType],
+  dependingField: (dep) => [dep.dependingField],
+  dependedSubgraph: (dep) => dep.dependedSubgraphs,
+  dependedType: (dep) => [dep.dependedType],
+  dependedField: (dep) => [dep.dependedField],
+};
+
+// Boolean properties a rule can match on
+const FLAGS = {
+  dependedKeyField: (dep) => dep.dependedKeyField,
+  crossSubgraph: (dep) => dep.crossSubgraph,
+};
+
+// Reads a policy file, JSON or YAML by extension; without a file, the first
+// .fgqlpolicy.json/.yaml/.yml found in the current directory
+export async function loadPolicy(file) {
+  let policyPath = file ? path.resolve(file) : null;
+  if (!policyPath) {
+    for (const name of POLICY_FILES) {
+      if (await fs.pathExists(path.resolve(name))) {
+        policyPath = path.resolve(name);
+        break;
+      }
+    }
+    if (!policyPath) {
+      throw new Error(`No policy file found. Create ${POLICY_FILES[0]} or pass --policy <file>.`);
+    }
+  } else if (!(await fs.pathExists(policyPath))) {
+    throw new Error(`Policy file not found: ${file}`);
+  }
+
+  const content = await fs.readFile(policyPath, "utf-8");
+  let policy;
+  try {
+    policy = [".yaml", ".yml"].includes(path.extname(policyPath)) ? yaml.load(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid policy file ${policyPath}: ${error.message}`);
+  }
+
+  return { ...validatePolicy(policy, policyPath), file: policyPath };
+}
+
+// Checks the shape of a policy and fills in rule defaults
+export function validatePolicy(policy, file = "policy") {
+  if (!policy || !Array.isArray(policy.rules)) {
+    throw new Error(`Invalid policy file ${file}: expected a "rules" list`);
+  }
+
+  const rules = policy.rules.map((rule, index) => {
+    if (typeof rule !== "object" || rule === null || Array.isArray(rule)) {
+      throw new Error(`Invalid policy file ${file}: rule ${index + 1} is not an object`);
+    }
+
+    const name = rule.name || `rule ${index + 1}`;
+    const fail = (message) => {
+      throw new Error(`Invalid policy file ${file}: ${name} ${message}`);
+    };
+
+    if (!EFFECTS.includes(rule.effect)) {
+      fail(`needs an "effect" of ${EFFECTS.map((effect) => `"${effect}"`).join(" or ")}`);
+    }
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      fail(`has an unknown severity "${rule.severity}"`);
+    }
+    if (!rule.match || typeof rule.match !== "object") {
+      fail(`needs a "match" object`);
+    }
+    Object.keys(rule.match).forEach((key) => {
+      if (!MATCHERS[key] && !FLAGS[key]) {
+        fail(`matches on unknown property "${key}"`);
+      }
+    });
+
+    return {
+      name,
+      description: rule.description || null,
+      effect: rule.effect,
+      severity: rule.severity || "error",
+      match: rule.match,
+    };
+  });
+
+  return { rules };
+}
+
+// Evaluates a policy against the dependency records of an analysis. A dependency
+// violates a deny rule it matches unless an allow rule matches it too, so "catalog may
+// only depend on key fields" is a deny rule for catalog plus an allow rule for key
+// fields. Records for the types fields reference are only matched by rules naming their
+// directive (field_type, argument_type, input_field_type).
+export function evaluatePolicy(analysis, policy) {
+  const dependencies = analysis.dependencies.map((dep) => describeForPolicy(analysis, dep));
+  const allowRules = policy.rules.filter((rule) => rule.effect === "allow");
+  const violations = [];
+
+  policy.rules
+    .filter((rule) => rule.effect === "deny")
+    .forEach((rule) => {
+      dependencies
+        .filter((dep) => matchesRule(rule, dep))
+        .filter((dep) => !allowRules.some((allowRule) => matchesRule(allowRule, dep)))
+        .forEach((dep) => {
+          violations.push({
+            rule: rule.name,
+            description: rule.description,
+            severity: rule.severity,
+            dependency: dep,
+          });
+        });
+    });
+
+  return { rules: policy.rules.length, checked: dependencies.length, violations };
+}
+
+export async function queryPolicyViolations(options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  const policy = await loadPolicy(options.policy);
+  return { policy: policy.file, ...evaluatePolicy(analysis, policy) };
+}
+
+// A dependency record plus what rules match on besides its own properties: the
+// subgraphs resolving the depended field, whether that field is part of a @key, and
+// whether the dependency crosses subgraphs
+function describeForPolicy(analysis, dep) {
+  const dependedSubgraphs = getResolvingSubgraphs(analysis, dep.dependedType, dep.dependedField);
+  const keys = analysis.types[dep.dependedType]?.keys || [];
+
+  return {
+    dependingType: dep.dependingType,
+    dependingField: dep.dependingField,
+    dependingSubgraph: dep.dependingSubgraph,
+    dependedType: dep.dependedType,
+    dependedField: dep.dependedField,
+    dependedSubgraphs,
+    directive: dep.directive,
+    fieldPath: dep.fieldPath,
+    dependedKeyField: keys.some((key) => key.paths.some((keyPath) => keyPath.split(".")[0] === dep.dependedField)),
+    crossSubgraph: dependedSubgraphs.length > 0 && !dependedSubgraphs.includes(dep.dependingSubgraph),
+    location: dep.location || null,
+  };
+}
+
+function matchesRule(rule, dep) {
+  if (isStructuralDependency(dep) && !rule.match.directive) {
+    return false;
+  }
+
+  return Object.entries(rule.match).every(([key, expected]) => {
+    if (FLAGS[key]) {
+      return FLAGS[key](dep) === expected;
+    }
+
+    const patterns = (Array.isArray(expected) ? expected : [expected]).map((pattern) =>
+      key === "directive" ? String(pattern).replace(/^@/, "") : String(pattern)
+    );
+    return MATCHERS[key](dep).some((value) => patterns.some((pattern) => matchesPattern(pattern, value)));
+  });
+}
+
+function matchesPattern(pattern, value) {
+  if (value === undefined || value === null) return false;
+  if (!pattern.includes("*")) return pattern === value;
+
+  const escaped = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${escaped.join(".*")}$`).test(value);
+}
@@ -1,6 +1,14 @@
 import { getCache, getMostRecentCache } from "./cache.js";
 import Table from "cli-table3";
 import chalk from "chalk";
+import {
+  buildDependencyGraph,
+  expandDependencies,
+  expandDependents,
+  findDependencyPaths,
+  findDependencyCycles,
+  isStructuralDependency,
+} from "./graph.js";
 
 export async function queryDependencies(type, options = {}) {
   let analysis;
@@ -115,12 +123,155 @@ export async function queryDependencies(type, options = {}) {
     }
   });
 
+  // Follow chains of dependents (A requires B.x, B.x requires C.y) unless only direct
+  // dependencies were asked for. Each result records its depth and chain. Type references
+  // (field_type and the like) name no field, so they're kept as recorded.
+  const expanded = expandDependents(
+    buildDependencyGraph(analysis.dependencies),
+    dependencies.filter((dep) => !isStructuralDependency(dep)),
+    { depth: options.direct ? 1 : options.depth }
+  );
+  // The direct dependencies come first, in order, so they can go back in place
+  const direct = expanded.filter((dep) => dep.depth === 1);
+  const closure = [
+    ...dependencies.map((dep) => (isStructuralDependency(dep) ? dep : direct.shift())),
+    ...expanded.filter((dep) => dep.depth > 1 && (includeSameType || dep.dependingType !== type)),
+  ];
+
   // Filter to keep only leaf dependencies (remove intermediate paths)
-  const leafDependencies = filterLeafDependencies(dependencies);
+  const leafDependencies = filterLeafDependencies(closure);
 
   return leafDependencies;
 }
 
+// The forward question: what does a type or field depend on? Returns the dependencies
+// recorded for "Type.field" (or every field of "Type"): the fields its @requires,
+// @provides, @key and @fromContext field sets select, and the types it references.
+// Fields reached through a chain of those carry `depth` and `chain`.
+export async function queryFieldDependencies(target, options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  const { type, field } = parseFieldReference(target, options.field);
+  const typeInfo = analysis.types[type] || analysis.inputTypes?.[type];
+  if (!typeInfo) {
+    throw new Error(`Type "${type}" not found in schema`);
+  }
+  if (field && field !== "_entity" && !typeInfo.fields[field]) {
+    throw new Error(`Field "${type}.${field}" not found in schema`);
+  }
+
+  const dependencies = analysis.dependencies.filter(
+    (dep) =>
+      dep.dependingType === type &&
+      (!field || dep.dependingField === field) &&
+      // With topLevel, only the fields a field set names at its top level
+      (!options.topLevel || !dep.fieldPath || !dep.fieldPath.includes("."))
+  );
+
+  // Follow what the depended-on fields depend on in turn, as queryDependencies does
+  // for dependents, unless only direct dependencies were asked for
+  const expanded = expandDependencies(
+    buildDependencyGraph(analysis.dependencies),
+    dependencies.filter((dep) => !isStructuralDependency(dep)),
+    { depth: options.direct ? 1 : options.depth }
+  );
+  const direct = expanded.filter((dep) => dep.depth === 1);
+  const closure = [
+    ...dependencies.map((dep) => (isStructuralDependency(dep) ? dep : direct.shift())),
+    ...expanded.filter((dep) => dep.depth > 1),
+  ];
+
+  return filterLeafDependencies(closure);
+}
+
+// Explains how two fields (or types) are coupled: the dependency chains that lead from
+// `source` to `target`, each hop with its directive and subgraph
+export async function queryDependencyPaths(source, target, options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  [source, target].forEach((endpoint) => {
+    const { type, field } = parseFieldReference(endpoint);
+    if (!analysis.types[type]) {
+      throw new Error(`Type "${type}" not found in schema`);
+    }
+    if (field && field !== "_entity" && !analysis.types[type].fields[field]) {
+      throw new Error(`Field "${type}.${field}" not found in schema`);
+    }
+  });
+
+  const paths = findDependencyPaths(buildDependencyGraph(analysis.dependencies), source, target, {
+    all: options.all,
+    maxDepth: options.maxDepth,
+  });
+
+  return paths.map((path) => ({
+    length: path.length,
+    hops: path.map((dep) => ({
+      from: `${dep.dependingType}.${dep.dependingField}`,
+      to: `${dep.dependedType}.${dep.dependedField}`,
+      directive: dep.directive,
+      subgraph: dep.dependingSubgraph,
+      fieldPath: dep.fieldPath,
+      ...(dep.location && { location: dep.location }),
+    })),
+  }));
+}
+
+// Cycles in the dependency graph, at field level (A.x requires B.y which requires A.z)
+// and collapsed to subgraph level (subgraphs that depend on each other)
+export async function queryCycles(options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  const { fieldCycles, subgraphCycles } = findDependencyCycles(analysis);
+  const describeEdge = (dep) => ({
+    from: `${dep.dependingType}.${dep.dependingField}`,
+    to: `${dep.dependedType}.${dep.dependedField}`,
+    directive: dep.directive,
+    subgraph: dep.dependingSubgraph,
+    ...(dep.location && { location: dep.location }),
+  });
+
+  return {
+    fieldCycles: fieldCycles.map((cycle) => ({
+      fields: cycle.fields,
+      subgraphs: cycle.subgraphs,
+      edges: cycle.edges.map(describeEdge),
+    })),
+    subgraphCycles: subgraphCycles.map((cycle) => ({
+      subgraphs: cycle.subgraphs,
+      edges: cycle.edges.map((edge) => ({
+        fromSubgraph: edge.from,
+        toSubgraph: edge.to,
+        ...describeEdge(edge.dependency),
+      })),
+    })),
+  };
+}
+
+// Splits "Type.field" into its type and field; a separate field option also works
+export function parseFieldReference(target, field) {
+  const [type, ...rest] = target.split(".");
+  return { type, field: rest.length > 0 ? rest.join(".") : field || null };
+}
+
 // Utility function to check if a field path contains a reference to a specific type
 function doesFieldPathContainType(
   fieldPath,
@@ -190,6 +341,12 @@ function filterLeafDependencies(dependencies) {
   return Array.from(uniqueDeps.values());
 }
 
+// Formats a source location as "file:line:column"
+export function formatLocation(location) {
+  if (!location) return null;
+  return `${location.file}:${location.line}:${location.column}`;
+}
+
 export function formatDependenciesTable(dependencies) {
   const table = new Table({
     head: [
@@ -253,7 +410,12 @@ export async function queryTypeDetails(typeName, options = {}) {
     analysis = await getMostRecentCache();
   }
 
-  const type = analysis.types[typeName];
+  // Input objects, enums and scalars live next to the output types
+  const type =
+    analysis.types[typeName] ||
+    analysis.inputTypes?.[typeName] ||
+    analysis.enums?.[typeName] ||
+    analysis.scalars?.[typeName];
   if (!type) {
     throw new Error(`Type "${typeName}" not found in schema`);
   }
@@ -265,3 +427,117 @@ export async function queryTypeDetails(typeName, options = {}) {
     ),
   };
 }
+
+export async function querySubgraphs(options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  const graphs = Object.values(analysis.supergraph?.graphs || {});
+  const names = graphs.length > 0
+    ? graphs.map((graph) => graph.name)
+    : analysis.metadata.subgraphs || [];
+
+  return names.map((name) => {
+    const graph = graphs.find((g) => g.name === name);
+    const types = Object.values(analysis.types).filter(
+      (type) => type.subgraphs && type.subgraphs.includes(name)
+    );
+
+    return {
+      name,
+      url: graph?.url || null,
+      types: types.map((type) => type.name),
+      keys: types.flatMap((type) =>
+        (type.keys || [])
+          .filter((key) => key.subgraph === name)
+          .map((key) => ({
+            type: type.name,
+            key: key.fields,
+            resolvable: key.resolvable,
+          }))
+      ),
+      resolvedFields: types.flatMap((type) =>
+        Object.values(type.fields)
+          .filter((field) => (field.resolvedBy || field.subgraphs || []).includes(name))
+          .map((field) => `${type.name}.${field.name}`)
+      ),
+    };
+  });
+}
+
+// Returns the problems found while analyzing the schema (invalid field sets, unknown
+// fields, @requires on non-@external fields, ...), errors first
+export async function queryDiagnostics(options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  return sortDiagnostics(analysis.diagnostics || []);
+}
+
+export function sortDiagnostics(diagnostics) {
+  const severityOrder = { error: 0, warning: 1 };
+  return [...diagnostics].sort(
+    (a, b) => (severityOrder[a.severity] ?? 2) - (severityOrder[b.severity] ?? 2)
+  );
+}
+
+// Lists the types and fields carrying Federation 2 ownership and visibility
+// directives, e.g. fields mid-migration via @override or @shareable across subgraphs.
+export async function queryFederationDirectives(options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  const entries = [];
+
+  Object.values(analysis.types).forEach((type) => {
+    const targets = [
+      { type: type.name, field: null, federation: type.federation },
+      ...Object.values(type.fields).map((field) => ({
+        type: type.name,
+        field: field.name,
+        federation: field.federation,
+      })),
+    ];
+
+    targets.forEach(({ type: typeName, field, federation }) => {
+      if (!federation) return;
+
+      (federation.override || []).forEach((override) => {
+        entries.push({ directive: "override", type: typeName, field, ...override });
+      });
+      if (federation.shareableIn.length > 0) {
+        entries.push({ directive: "shareable", type: typeName, field, subgraphs: federation.shareableIn });
+      }
+      if (federation.inaccessible) {
+        entries.push({ directive: "inaccessible", type: typeName, field });
+      }
+      if (federation.tags.length > 0) {
+        entries.push({ directive: "tag", type: typeName, field, tags: federation.tags });
+      }
+      if (federation.interfaceObjectIn?.length > 0) {
+        entries.push({ directive: "interfaceObject", type: typeName, field, subgraphs: federation.interfaceObjectIn });
+      }
+    });
+  });
+
+  return entries.filter(
+    (entry) =>
+      (!options.directive || entry.directive === options.directive) &&
+      (!options.tag || (entry.tags || []).includes(options.tag))
+  );
+}
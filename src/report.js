@@ -0,0 +1,501 @@
+import path from "path";
+import { print } from "graphql";
+import { getCache, getMostRecentCache } from "./cache.js";
+import { fieldKey, getResolvingSubgraphs, isStructuralDependency } from "./graph.js";
+import { formatLocation, sortDiagnostics } from "./query.js";
+import { computeMetrics } from "./metrics.js";
+import { buildExportGraph } from "./export.js";
+
+// Collects what the HTML report shows from an analysis: the types with their fields
+// and keys, the directive dependencies (the page derives each type's inbound and
+// outbound tables from them), subgraph coupling metrics, the type- and subgraph-level
+// graphs and the validation findings.
+export function buildReportData(analysis, options = {}) {
+  const schema = analysis.metadata.schemaFile;
+
+  return {
+    title: options.title || `Dependency report: ${path.basename(schema || "schema")}`,
+    schema,
+    analyzedAt: analysis.metadata.analyzedAt,
+    generatedAt: new Date().toISOString(),
+    subgraphs: analysis.metadata.subgraphs || [],
+    types: Object.values(analysis.types)
+      .map((type) => describeType(analysis, type))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)),
+    dependencies: analysis.dependencies
+      .filter((dep) => !isStructuralDependency(dep))
+      // A field's @external declaration of itself isn't a dependency between fields
+      .filter((dep) => fieldKey(dep.dependingType, dep.dependingField) !== fieldKey(dep.dependedType, dep.dependedField))
+      .map((dep) => ({
+        dependingType: dep.dependingType,
+        dependingField: dep.dependingField,
+        dependedType: dep.dependedType,
+        dependedField: dep.dependedField,
+        directive: dep.directive,
+        subgraph: dep.dependingSubgraph,
+        fieldPath: dep.fieldPath,
+        location: formatLocation(dep.location),
+      })),
+    metrics: computeMetrics(analysis, { top: 20 }),
+    graphs: {
+      type: buildExportGraph(analysis, { level: "type" }),
+      subgraph: buildExportGraph(analysis, { level: "subgraph" }),
+    },
+    diagnostics: sortDiagnostics(analysis.diagnostics || []).map((diagnostic) => ({
+      severity: diagnostic.severity,
+      code: diagnostic.code,
+      message: diagnostic.message,
+      type: diagnostic.type || null,
+      subgraph: diagnostic.subgraph || null,
+      location: formatLocation(diagnostic.location),
+    })),
+  };
+}
+
+export async function queryReportData(options = {}) {
+  let analysis;
+
+  if (options.schema) {
+    analysis = await getCache(options.schema);
+  } else {
+    analysis = await getMostRecentCache();
+  }
+
+  return buildReportData(analysis, options);
+}
+
+function describeType(analysis, type) {
+  const keys = new Map();
+  (type.keys || []).forEach((key) => {
+    if (!keys.has(key.fields)) keys.set(key.fields, []);
+    keys.get(key.fields).push(key.subgraph);
+  });
+
+  return {
+    name: type.name,
+    kind: type.isInterface ? "interface" : keys.size > 0 ? "entity" : "type",
+    subgraphs: type.subgraphs || [],
+    keys: [...keys].map(([fields, subgraphs]) => ({ fields, subgraphs })),
+    location: formatLocation(type.location),
+    fields: Object.values(type.fields).map((field) => ({
+      name: field.name,
+      type: printFieldType(field),
+      subgraphs: field.subgraphs || [],
+      resolvedBy: getResolvingSubgraphs(analysis, type.name, field.name),
+    })),
+  };
+}
+
+function printFieldType(field) {
+  try {
+    return field.rawTypeNode ? print(field.rawTypeNode) : field.type;
+  } catch {
+    return field.type;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// One HTML file with the data, styles and script inlined, so it opens offline. The
+// data is embedded as JSON with "<" escaped so it can't close its script element.
+export function renderHtmlReport(data) {
+  const json = JSON.stringify(data).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(data.title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<aside>
+  <h1>${escapeHtml(data.title)}</h1>
+  <nav>
+    <a href="#overview">Overview</a>
+    <a href="#coupling">Subgraph coupling</a>
+    <a href="#graph">Graph</a>
+    <a href="#findings">Findings (${data.diagnostics.length})</a>
+  </nav>
+  <input id="search" type="search" placeholder="Search types and fields" autocomplete="off">
+  <ul id="type-list"></ul>
+</aside>
+<main>
+  <section id="view-overview" class="view"></section>
+  <section id="view-type" class="view" hidden></section>
+  <section id="view-coupling" class="view" hidden></section>
+  <section id="view-graph" class="view" hidden>
+    <h2>Dependency graph</h2>
+    <p class="controls">
+      <label><input type="radio" name="graph-level" value="type" checked> Types</label>
+      <label><input type="radio" name="graph-level" value="subgraph"> Subgraphs</label>
+      <span class="hint">Drag nodes to rearrange, hover to highlight neighbors, click a type to open it.</span>
+    </p>
+    <div id="graph-legend"></div>
+    <svg id="graph-svg" viewBox="0 0 960 640"></svg>
+  </section>
+  <section id="view-findings" class="view" hidden></section>
+</main>
+<script type="application/json" id="report-data">${json}</script>
+<script>${REPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+const REPORT_STYLE = String.raw`
+* { box-sizing: border-box; }
+body { margin: 0; display: flex; height: 100vh; font: 14px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; }
+aside { width: 280px; flex-shrink: 0; display: flex; flex-direction: column; border-right: 1px solid #d0d7de; background: #f6f8fa; padding: 16px; }
+aside h1 { font-size: 16px; margin: 0 0 12px; }
+nav a { display: block; padding: 4px 0; color: #0969da; text-decoration: none; }
+#search { margin: 12px 0 8px; padding: 6px 8px; border: 1px solid #d0d7de; border-radius: 6px; width: 100%; }
+#type-list { list-style: none; margin: 0; padding: 0; overflow-y: auto; flex: 1; }
+#type-list a { display: block; padding: 2px 6px; border-radius: 4px; color: inherit; text-decoration: none; }
+#type-list a:hover, #type-list a.active { background: #ddf4ff; }
+#type-list small { color: #57606a; }
+main { flex: 1; overflow-y: auto; padding: 16px 24px; }
+h2 { margin-top: 0; }
+table { border-collapse: collapse; margin: 8px 0 20px; }
+th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+code, .loc { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+.loc { color: #57606a; }
+.badge { display: inline-block; padding: 0 6px; margin: 1px 2px 1px 0; border-radius: 10px; color: #fff; font-size: 12px; }
+.muted, .hint { color: #57606a; }
+.severity-error { color: #cf222e; font-weight: 600; }
+.severity-warning { color: #9a6700; font-weight: 600; }
+.directives { color: #57606a; font-size: 12px; }
+.stats { display: flex; gap: 24px; margin: 16px 0; }
+.stats div { font-size: 24px; }
+.stats small { display: block; font-size: 12px; color: #57606a; }
+#graph-svg { width: 100%; max-width: 1200px; border: 1px solid #d0d7de; border-radius: 6px; background: #fff; user-select: none; }
+#graph-svg line { stroke: #8c959f; stroke-width: 1.2; }
+#graph-svg text { font-size: 11px; pointer-events: none; }
+#graph-svg .edge-label { fill: #57606a; font-size: 10px; }
+#graph-svg circle { stroke: #fff; stroke-width: 2; cursor: grab; }
+#graph-svg.highlighting .node, #graph-svg.highlighting .edge { opacity: 0.15; }
+#graph-svg.highlighting .near { opacity: 1; }
+#graph-legend .badge { margin-right: 6px; }
+`;
+
+// Runs in the browser: routes on the location hash, renders the views from the
+// embedded data and lays the graph out with a small force simulation
+const REPORT_SCRIPT = String.raw`
+(function () {
+  var data = JSON.parse(document.getElementById("report-data").textContent);
+  var palette = ["#0969da", "#1a7f37", "#8250df", "#bc4c00", "#bf3989", "#0a7b83", "#9a6700", "#cf222e", "#57606a", "#6639ba"];
+  var colors = {};
+  data.subgraphs.forEach(function (subgraph, index) { colors[subgraph] = palette[index % palette.length]; });
+  var typesByName = {};
+  data.types.forEach(function (type) { typesByName[type.name] = type; });
+
+  function $(id) { return document.getElementById(id); }
+  function esc(value) {
+    return String(value == null ? "" : value).replace(/[&<>"']/g, function (c) {
+      return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c];
+    });
+  }
+  function badge(subgraph) {
+    return '<span class="badge" style="background:' + (colors[subgraph] || "#8c959f") + '">' + esc(subgraph) + "</span>";
+  }
+  function badges(subgraphs) { return subgraphs.map(badge).join(""); }
+  function typeLink(type, label) {
+    return typesByName[type] ? '<a href="#type/' + encodeURIComponent(type) + '">' + esc(label || type) + "</a>" : esc(label || type);
+  }
+  function fieldLink(type, field) { return typeLink(type, type + "." + field); }
+  function table(head, rows) {
+    if (rows.length === 0) return '<p class="muted">None</p>';
+    return "<table><thead><tr>" + head.map(function (h) { return "<th>" + h + "</th>"; }).join("") +
+      "</tr></thead><tbody>" + rows.map(function (row) {
+        return "<tr>" + row.map(function (cell) { return "<td>" + cell + "</td>"; }).join("") + "</tr>";
+      }).join("") + "</tbody></table>";
+  }
+  function directiveCounts(byDirective) {
+    return Object.keys(byDirective).sort().map(function (directive) {
+      return "@" + esc(directive) + " " + byDirective[directive];
+    }).join("<br>");
+  }
+  function loc(location) { return location ? '<span class="loc">' + esc(location) + "</span>" : ""; }
+
+  function renderTypeList() {
+    var query = $("search").value.trim().toLowerCase();
+    var current = decodeURIComponent(location.hash.replace(/^#type\//, ""));
+    $("type-list").innerHTML = data.types.filter(function (type) {
+      return !query || type.name.toLowerCase().indexOf(query) !== -1 || type.fields.some(function (field) {
+        return field.name.toLowerCase().indexOf(query) !== -1;
+      });
+    }).map(function (type) {
+      return '<li><a href="#type/' + encodeURIComponent(type.name) + '"' + (type.name === current ? ' class="active"' : "") + ">" +
+        esc(type.name) + " <small>" + esc(type.kind) + "</small></a></li>";
+    }).join("");
+  }
+
+  function renderOverview() {
+    var errors = data.diagnostics.filter(function (d) { return d.severity === "error"; }).length;
+    $("view-overview").innerHTML = "<h2>Overview</h2>" +
+      '<p class="muted">Schema <code>' + esc(data.schema) + "</code>, analyzed " + esc(data.analyzedAt) +
+      ", report generated " + esc(data.generatedAt) + "</p>" +
+      '<div class="stats">' +
+      "<div>" + data.subgraphs.length + "<small>subgraphs</small></div>" +
+      "<div>" + data.types.length + "<small>types</small></div>" +
+      "<div>" + data.dependencies.length + "<small>dependencies</small></div>" +
+      "<div>" + errors + "<small>errors</small></div>" +
+      "<div>" + (data.diagnostics.length - errors) + "<small>warnings</small></div>" +
+      "</div><h3>Subgraphs</h3><p>" + (badges(data.subgraphs) || '<span class="muted">None</span>') + "</p>" +
+      "<h3>Hotspots</h3>" + hotspotTable();
+  }
+
+  function renderType(name) {
+    var type = typesByName[name];
+    if (!type) {
+      $("view-type").innerHTML = '<p class="muted">Unknown type ' + esc(name) + "</p>";
+      return;
+    }
+    var outbound = data.dependencies.filter(function (dep) { return dep.dependingType === name; });
+    var inbound = data.dependencies.filter(function (dep) { return dep.dependedType === name; });
+    var findings = data.diagnostics.filter(function (d) { return d.type === name; });
+
+    $("view-type").innerHTML = "<h2>" + esc(type.name) + ' <small class="muted">' + esc(type.kind) + "</small></h2>" +
+      "<p>" + badges(type.subgraphs) + " " + loc(type.location) + "</p>" +
+      (type.keys.length ? "<p>Keys: " + type.keys.map(function (key) {
+        return "<code>" + esc(key.fields) + "</code> " + badges(key.subgraphs);
+      }).join("; ") + "</p>" : "") +
+      "<h3>Fields</h3>" + table(["Field", "Type", "Defined in", "Resolved by"], type.fields.map(function (field) {
+        return ["<code>" + esc(field.name) + "</code>", "<code>" + esc(field.type) + "</code>", badges(field.subgraphs), badges(field.resolvedBy)];
+      })) +
+      "<h3>Outbound dependencies (" + outbound.length + ")</h3>" +
+      table(["Field", "Directive", "Depends on", "Subgraph", "Location"], outbound.map(function (dep) {
+        return ["<code>" + esc(dep.dependingField) + "</code>", "@" + esc(dep.directive), fieldLink(dep.dependedType, dep.dependedField), badge(dep.subgraph), loc(dep.location)];
+      })) +
+      "<h3>Inbound dependencies (" + inbound.length + ")</h3>" +
+      table(["Field", "Directive", "Depended on by", "Subgraph", "Location"], inbound.map(function (dep) {
+        return ["<code>" + esc(dep.dependedField) + "</code>", "@" + esc(dep.directive), fieldLink(dep.dependingType, dep.dependingField), badge(dep.subgraph), loc(dep.location)];
+      })) +
+      (findings.length ? "<h3>Findings</h3>" + findingsTable(findings) : "");
+  }
+
+  function hotspotTable() {
+    return table(["Field", "Resolved by", "Dependents", "Via", "From subgraphs"], data.metrics.hotspots.map(function (hotspot) {
+      var parts = hotspot.field.split(".");
+      return [fieldLink(parts[0], parts.slice(1).join(".")), badges(hotspot.resolvedBy), hotspot.dependents,
+        '<span class="directives">' + directiveCounts(hotspot.byDirective) + "</span>", badges(hotspot.subgraphs)];
+    }));
+  }
+
+  function renderCoupling() {
+    var metrics = data.metrics;
+    var names = metrics.subgraphs.map(function (subgraph) { return subgraph.name; });
+    var max = Math.max.apply(null, [1].concat(metrics.matrix.map(function (cell) { return cell.total; })));
+    var matrix = "<table><thead><tr><th>Depends on &rarr;</th>" + names.map(function (name) { return "<th>" + badge(name) + "</th>"; }).join("") +
+      "</tr></thead><tbody>" + names.map(function (from) {
+        return "<tr><th>" + badge(from) + "</th>" + names.map(function (to) {
+          if (from === to) return '<td class="muted">&ndash;</td>';
+          var cell = metrics.matrix.filter(function (c) { return c.from === from && c.to === to; })[0];
+          if (!cell) return "<td></td>";
+          return '<td style="background:rgba(9,105,218,' + (0.08 + 0.4 * cell.total / max).toFixed(2) + ')"><strong>' + cell.total +
+            '</strong><br><span class="directives">' + directiveCounts(cell.byDirective) + "</span></td>";
+        }).join("") + "</tr>";
+      }).join("") + "</tbody></table>";
+
+    $("view-coupling").innerHTML = "<h2>Subgraph coupling</h2>" +
+      '<p class="muted">Fan-out counts the subgraphs a subgraph depends on, fan-in those depending on it. Instability is fan-out / (fan-in + fan-out): near 0 for subgraphs others rely on, near 1 for ones that only rely on others.</p>' +
+      table(["Subgraph", "Fan-in", "Fan-out", "Deps in", "Deps out", "Instability"], metrics.subgraphs.map(function (s) {
+        return [badge(s.name), s.fanIn, s.fanOut, s.dependenciesIn, s.dependenciesOut, s.instability.toFixed(2)];
+      })) +
+      "<h3>Dependency matrix</h3><p class=\"muted\">Rows depend on columns.</p>" + matrix +
+      "<h3>Hotspots</h3>" + hotspotTable();
+  }
+
+  function findingsTable(findings) {
+    return table(["Severity", "Code", "Message", "Subgraph", "Location"], findings.map(function (d) {
+      return ['<span class="severity-' + esc(d.severity) + '">' + esc(d.severity) + "</span>", "<code>" + esc(d.code) + "</code>",
+        esc(d.message), d.subgraph ? badge(d.subgraph) : "", loc(d.location)];
+    }));
+  }
+
+  function renderFindings() {
+    $("view-findings").innerHTML = "<h2>Validation findings (" + data.diagnostics.length + ")</h2>" +
+      (data.diagnostics.length ? findingsTable(data.diagnostics) : '<p class="muted">No problems found.</p>');
+  }
+
+  var SVG = "http://www.w3.org/2000/svg";
+  function svgElement(name, attributes) {
+    var element = document.createElementNS(SVG, name);
+    Object.keys(attributes || {}).forEach(function (key) { element.setAttribute(key, attributes[key]); });
+    return element;
+  }
+
+  function renderGraph(level) {
+    var graph = data.graphs[level];
+    var svg = $("graph-svg");
+    var width = 960, height = 640;
+    svg.innerHTML = "";
+    svg.setAttribute("class", "");
+
+    var nodes = graph.nodes.map(function (node, index) {
+      var angle = 2 * Math.PI * index / Math.max(graph.nodes.length, 1);
+      return { id: node.id, subgraph: level === "subgraph" ? node.id : node.subgraph,
+        x: width / 2 + 200 * Math.cos(angle), y: height / 2 + 200 * Math.sin(angle) };
+    });
+    var byId = {};
+    nodes.forEach(function (node) { byId[node.id] = node; });
+    // Edges through different directives between the same nodes are drawn as one line
+    var edges = [], edgesByPair = {};
+    graph.edges.forEach(function (edge) {
+      var label = edge.count > 1 ? edge.directive + " ×" + edge.count : edge.directive;
+      var pair = edge.from + "\n" + edge.to;
+      if (edgesByPair[pair]) {
+        edgesByPair[pair].label += ", " + label;
+        return;
+      }
+      edgesByPair[pair] = { source: byId[edge.from], target: byId[edge.to], label: label };
+      edges.push(edgesByPair[pair]);
+    });
+
+    // Repulsion between all nodes, springs along edges and a pull towards the center
+    for (var step = 0; step < 300; step++) {
+      var cooling = 1 - step / 300;
+      nodes.forEach(function (a) {
+        a.dx = (width / 2 - a.x) * 0.01;
+        a.dy = (height / 2 - a.y) * 0.01;
+        nodes.forEach(function (b) {
+          if (a === b) return;
+          var x = a.x - b.x, y = a.y - b.y, distance = Math.sqrt(x * x + y * y) || 1;
+          a.dx += x / distance * 4000 / (distance * distance);
+          a.dy += y / distance * 4000 / (distance * distance);
+        });
+      });
+      edges.forEach(function (edge) {
+        var x = edge.target.x - edge.source.x, y = edge.target.y - edge.source.y, distance = Math.sqrt(x * x + y * y) || 1;
+        var force = (distance - 140) * 0.02;
+        edge.source.dx += x / distance * force; edge.source.dy += y / distance * force;
+        edge.target.dx -= x / distance * force; edge.target.dy -= y / distance * force;
+      });
+      nodes.forEach(function (node) {
+        node.x = Math.max(40, Math.min(width - 40, node.x + Math.max(-20, Math.min(20, node.dx)) * cooling));
+        node.y = Math.max(20, Math.min(height - 20, node.y + Math.max(-20, Math.min(20, node.dy)) * cooling));
+      });
+    }
+
+    var defs = svgElement("defs");
+    var marker = svgElement("marker", { id: "arrow", viewBox: "0 0 10 10", refX: "20", refY: "5", markerWidth: "6", markerHeight: "6", orient: "auto" });
+    marker.appendChild(svgElement("path", { d: "M0,0 L10,5 L0,10 z", fill: "#8c959f" }));
+    defs.appendChild(marker);
+    svg.appendChild(defs);
+
+    edges.forEach(function (edge) {
+      edge.group = svgElement("g", { "class": "edge" });
+      edge.line = svgElement("line", { "marker-end": "url(#arrow)" });
+      edge.text = svgElement("text", { "class": "edge-label", "text-anchor": "middle" });
+      edge.text.textContent = edge.label;
+      edge.group.appendChild(edge.line);
+      edge.group.appendChild(edge.text);
+      svg.appendChild(edge.group);
+    });
+    nodes.forEach(function (node) {
+      node.group = svgElement("g", { "class": "node" });
+      node.circle = svgElement("circle", { r: "9", fill: colors[node.subgraph] || "#8c959f" });
+      var title = svgElement("title");
+      title.textContent = node.id + (node.subgraph ? " (" + node.subgraph + ")" : "");
+      node.circle.appendChild(title);
+      node.text = svgElement("text", { dx: "12", dy: "4" });
+      node.text.textContent = node.id;
+      node.group.appendChild(node.circle);
+      node.group.appendChild(node.text);
+      svg.appendChild(node.group);
+    });
+
+    function position() {
+      edges.forEach(function (edge) {
+        edge.line.setAttribute("x1", edge.source.x); edge.line.setAttribute("y1", edge.source.y);
+        edge.line.setAttribute("x2", edge.target.x); edge.line.setAttribute("y2", edge.target.y);
+        edge.text.setAttribute("x", (edge.source.x + edge.target.x) / 2);
+        edge.text.setAttribute("y", (edge.source.y + edge.target.y) / 2 - 3);
+      });
+      nodes.forEach(function (node) { node.group.setAttribute("transform", "translate(" + node.x + "," + node.y + ")"); });
+    }
+    position();
+
+    function highlight(node) {
+      svg.setAttribute("class", node ? "highlighting" : "");
+      nodes.forEach(function (other) { other.group.classList.remove("near"); });
+      edges.forEach(function (edge) {
+        var near = node && (edge.source === node || edge.target === node);
+        edge.group.classList.toggle("near", Boolean(near));
+        if (near) { edge.source.group.classList.add("near"); edge.target.group.classList.add("near"); }
+      });
+      if (node) node.group.classList.add("near");
+    }
+
+    var dragging = null, moved = false;
+    function toGraph(event) {
+      var point = svg.createSVGPoint();
+      point.x = event.clientX; point.y = event.clientY;
+      return point.matrixTransform(svg.getScreenCTM().inverse());
+    }
+    nodes.forEach(function (node) {
+      node.circle.addEventListener("mouseenter", function () { if (!dragging) highlight(node); });
+      node.circle.addEventListener("mouseleave", function () { if (!dragging) highlight(null); });
+      node.circle.addEventListener("pointerdown", function (event) {
+        dragging = node; moved = false;
+        node.circle.setPointerCapture(event.pointerId);
+      });
+      node.circle.addEventListener("pointermove", function (event) {
+        if (dragging !== node) return;
+        var point = toGraph(event);
+        node.x = point.x; node.y = point.y; moved = true;
+        position();
+      });
+      node.circle.addEventListener("pointerup", function () {
+        dragging = null;
+        if (!moved && level === "type" && typesByName[node.id]) location.hash = "type/" + encodeURIComponent(node.id);
+      });
+    });
+
+    var shown = {};
+    nodes.forEach(function (node) { if (node.subgraph) shown[node.subgraph] = true; });
+    $("graph-legend").innerHTML = badges(Object.keys(shown).sort()) +
+      (level === "type" ? ' <span class="hint">Gray types are shared by several subgraphs.</span>' : "") +
+      (nodes.length === 0 ? '<p class="muted">No dependencies between ' + (level === "type" ? "types" : "subgraphs") + ".</p>" : "");
+  }
+
+  function show(view) {
+    Array.prototype.forEach.call(document.querySelectorAll(".view"), function (section) {
+      section.hidden = section.id !== "view-" + view;
+    });
+  }
+
+  function route() {
+    var hash = decodeURIComponent(location.hash.slice(1));
+    if (hash.indexOf("type/") === 0) {
+      renderType(hash.slice(5));
+      show("type");
+    } else if (["coupling", "graph", "findings"].indexOf(hash) !== -1) {
+      show(hash);
+    } else {
+      show("overview");
+    }
+    renderTypeList();
+  }
+
+  $("search").addEventListener("input", renderTypeList);
+  Array.prototype.forEach.call(document.querySelectorAll('input[name="graph-level"]'), function (input) {
+    input.addEventListener("change", function () { renderGraph(input.value); });
+  });
+  window.addEventListener("hashchange", route);
+
+  renderOverview();
+  renderCoupling();
+  renderFindings();
+  route();
+  renderGraph("type");
+})();
+`;
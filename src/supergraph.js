@@ -0,0 +1,188 @@
+import { visit, valueFromASTUntyped } from "graphql";
+import { unique } from "./graph.js";
+
+// Builds the per-subgraph view of a composed supergraph from its join__* directives.
+// Returns null when the schema has no join__Graph enum and no join__ directives.
+export function extractSupergraphModel(ast) {
+  const model = {
+    graphs: {},
+    types: {},
+    implements: {},
+    unionMembers: {},
+    enumValues: {},
+  };
+  let isSupergraph = false;
+
+  visit(ast, {
+    EnumTypeDefinition(node) {
+      if (node.name.value !== "join__Graph") {
+        collectEnumValueGraphs(node, model);
+        return;
+      }
+
+      isSupergraph = true;
+      node.values?.forEach((value) => {
+        const enumValue = value.name.value;
+        const graphDirective = findDirective(value.directives, "join__graph");
+        model.graphs[enumValue] = {
+          enumValue,
+          name: getArgumentValue(graphDirective, "name") || enumValue.toLowerCase(),
+          url: getArgumentValue(graphDirective, "url") || null,
+        };
+      });
+    },
+  });
+
+  visit(ast, {
+    enter(node) {
+      if (!node.name || !node.directives) return;
+      const typeName = node.name.value;
+
+      node.directives.forEach((directive) => {
+        switch (directive.name.value) {
+          case "join__type":
+            isSupergraph = true;
+            (model.types[typeName] ||= []).push({
+              graph: getArgumentValue(directive, "graph"),
+              key: getArgumentValue(directive, "key") || null,
+              extension: getArgumentValue(directive, "extension") === true,
+              resolvable: getArgumentValue(directive, "resolvable") !== false,
+              isInterfaceObject: getArgumentValue(directive, "isInterfaceObject") === true,
+            });
+            break;
+          case "join__implements":
+            isSupergraph = true;
+            (model.implements[typeName] ||= []).push({
+              graph: getArgumentValue(directive, "graph"),
+              interface: getArgumentValue(directive, "interface"),
+            });
+            break;
+          case "join__unionMember":
+            isSupergraph = true;
+            (model.unionMembers[typeName] ||= []).push({
+              graph: getArgumentValue(directive, "graph"),
+              member: getArgumentValue(directive, "member"),
+            });
+            break;
+        }
+      });
+    },
+  });
+
+  if (!isSupergraph) {
+    return null;
+  }
+
+  // Translate join__Graph enum values into real subgraph names
+  const resolveGraph = (enumValue) => getGraphName(model, enumValue);
+  Object.values(model.types).forEach((entries) =>
+    entries.forEach((entry) => (entry.graph = resolveGraph(entry.graph)))
+  );
+  Object.values(model.implements).forEach((entries) =>
+    entries.forEach((entry) => (entry.graph = resolveGraph(entry.graph)))
+  );
+  Object.values(model.unionMembers).forEach((entries) =>
+    entries.forEach((entry) => (entry.graph = resolveGraph(entry.graph)))
+  );
+  Object.values(model.enumValues).forEach((values) =>
+    Object.keys(values).forEach((value) => {
+      values[value] = values[value].map(resolveGraph);
+    })
+  );
+
+  return model;
+}
+
+// Annotates collected types and fields with the graphs that define, key and resolve them.
+export function applySupergraphModel(collected, model) {
+  collected.types.forEach((type, typeName) => {
+    const joinTypes = model.types[typeName] || [];
+    const typeGraphs = unique(joinTypes.map((entry) => entry.graph));
+
+    type.joinTypes = joinTypes;
+    if (typeGraphs.length > 0) {
+      type.subgraphs = typeGraphs;
+    }
+
+    (model.implements[typeName] || []).forEach(({ graph, interface: interfaceName }) => {
+      type.interfaces = type.interfaces || [];
+      if (!type.interfaces.includes(interfaceName)) {
+        type.interfaces.push(interfaceName);
+      }
+      if (!collected.implementations.has(interfaceName)) {
+        collected.implementations.set(interfaceName, []);
+      }
+      if (!collected.implementations.get(interfaceName).includes(typeName)) {
+        collected.implementations.get(interfaceName).push(typeName);
+      }
+      (type.joinImplements ||= []).push({ graph, interface: interfaceName });
+    });
+
+    type.fields.forEach((field) => {
+      const joinFields = field.directives
+        .filter((d) => d.name.value === "join__field")
+        .map((directive) => ({
+          graph: getGraphName(model, getArgumentValue(directive, "graph")),
+          requires: getArgumentValue(directive, "requires") || null,
+          provides: getArgumentValue(directive, "provides") || null,
+          external: getArgumentValue(directive, "external") === true,
+          override: getArgumentValue(directive, "override") || null,
+          overrideLabel: getArgumentValue(directive, "overrideLabel") || null,
+        }));
+
+      field.joinFields = joinFields;
+
+      // Without @join__field, a field is resolvable by every graph that defines its type
+      if (joinFields.length === 0 || joinFields.every((entry) => !entry.graph)) {
+        field.subgraphs = typeGraphs.length > 0 ? typeGraphs : undefined;
+        field.resolvedBy = typeGraphs;
+      } else {
+        field.subgraphs = unique(joinFields.map((entry) => entry.graph));
+        field.resolvedBy = unique(
+          joinFields.filter((entry) => !entry.external).map((entry) => entry.graph)
+        );
+      }
+    });
+  });
+}
+
+// Combines the models of several supergraph sources analyzed together.
+export function mergeSupergraphModels(target, model) {
+  if (!target) return model;
+
+  Object.assign(target.graphs, model.graphs);
+  Object.assign(target.enumValues, model.enumValues);
+  ["types", "implements", "unionMembers"].forEach((section) => {
+    Object.entries(model[section]).forEach(([typeName, entries]) => {
+      target[section][typeName] = [...(target[section][typeName] || []), ...entries];
+    });
+  });
+  return target;
+}
+
+export function getGraphName(model, enumValue) {
+  if (!enumValue) return enumValue;
+  return model?.graphs[enumValue]?.name || enumValue;
+}
+
+export function getArgumentValue(directive, argumentName) {
+  const argument = directive?.arguments?.find((arg) => arg.name.value === argumentName);
+  return argument ? valueFromASTUntyped(argument.value) : undefined;
+}
+
+function collectEnumValueGraphs(node, model) {
+  node.values?.forEach((value) => {
+    const graphs = (value.directives || [])
+      .filter((d) => d.name.value === "join__enumValue")
+      .map((d) => getArgumentValue(d, "graph"));
+
+    if (graphs.length > 0) {
+      model.enumValues[node.name.value] ||= {};
+      model.enumValues[node.name.value][value.name.value] = graphs;
+    }
+  });
+}
+
+function findDirective(directives, name) {
+  return directives?.find((d) => d.name.value === name);
+}
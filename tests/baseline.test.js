@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { buildBaseline, writeBaseline, readBaseline, checkBaseline, loadBaselineAnalysis } from '../src/baseline.js';
+import { hasCache } from '../src/cache.js';
+
+const products = {
+  filePath: 'test-baseline/products.graphql',
+  content: `
+    type Product @key(fields: "id") {
+      id: ID!
+      price: Float!
+      weight: Float!
+    }
+  `,
+};
+
+const shipping = (requires) => ({
+  filePath: 'test-baseline/shipping.graphql',
+  content: `
+    extend type Product @key(fields: "id") {
+      id: ID! @external
+      price: Float! @external
+      weight: Float! @external
+      shippingCost: Float! @requires(fields: "${requires}")
+    }
+  `,
+});
+
+test('buildBaseline lists dependencies in a stable order and flags cross-subgraph ones', async () => {
+  const analysis = await analyzeSchemas([shipping('weight price'), products], 'test-baseline');
+  const baseline = buildBaseline(analysis);
+
+  const requires = baseline.dependencies.filter(entry => entry.directive === 'requires');
+  assert.deepEqual(
+    requires.map(entry => `${entry.depending} -> ${entry.depended} ${entry.crossSubgraph}`),
+    ['Product.shippingCost -> Product.price true', 'Product.shippingCost -> Product.weight true']
+  );
+  assert.ok(baseline.dependencies.every(entry => !('location' in entry)));
+
+  const reordered = await analyzeSchemas([products, shipping('price weight')], 'test-baseline');
+  assert.deepEqual(buildBaseline(reordered), baseline);
+});
+
+test('checkBaseline reports added and removed dependencies, keeping justifications', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fgq-baseline-'));
+  const file = path.join(dir, 'fgq-baseline.json');
+
+  try {
+    const before = await analyzeSchemas([products, shipping('weight')], 'test-baseline-check');
+    await writeBaseline(file, before);
+
+    // Document the accepted coupling, then rewrite the baseline
+    const written = await readBaseline(file);
+    written.dependencies.find(entry => entry.directive === 'requires').justification = 'Shipping prices by weight';
+    await fs.writeJson(file, written);
+    await writeBaseline(file, before);
+
+    const baseline = await readBaseline(file);
+    assert.equal(baseline.dependencies.find(entry => entry.directive === 'requires').justification, 'Shipping prices by weight');
+    assert.deepEqual(checkBaseline(before, baseline).added, []);
+
+    const after = await analyzeSchemas([products, shipping('price')], 'test-baseline-check');
+    const result = checkBaseline(after, baseline);
+    assert.deepEqual(result.added.map(entry => `${entry.directive} ${entry.depended}`), ['requires Product.price']);
+    assert.equal(result.added[0].location.file, 'test-baseline/shipping.graphql');
+    assert.deepEqual(result.removed.map(entry => `${entry.directive} ${entry.depended}`), ['requires Product.weight']);
+    assert.ok(result.unjustified.every(entry => entry.directive !== 'requires'));
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('readBaseline explains how to create a missing baseline', async () => {
+  await assert.rejects(() => readBaseline('missing-fgq-baseline.json'), /Run "fgq baseline write"/);
+});
+
+test('loadBaselineAnalysis analyzes schema files without caching them', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fgq-baseline-load-'));
+
+  try {
+    await fs.writeFile(path.join(dir, 'products.graphql'), products.content);
+    await fs.writeFile(path.join(dir, 'shipping.graphql'), shipping('weight').content);
+
+    const analysis = await loadBaselineAnalysis([dir]);
+    assert.deepEqual(analysis.metadata.subgraphs, ['products', 'shipping']);
+    assert.equal(await hasCache(dir), false);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const cli = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+function runCli(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [cli, ...args], { env: { ...process.env, ...env } }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('metrics --top rejects values that are not positive numbers', async () => {
+  for (const value of ['0', 'x']) {
+    const { code, stderr } = await runCli(['metrics', '--top', value]);
+    assert.equal(code, 1);
+    assert.match(stderr, /Number of hotspots must be a positive number/);
+    assert.doesNotMatch(stderr, /Depth/);
+  }
+});
+
+test('analyze prints the cache name of several files, which --schema accepts', async () => {
+  const home = await fs.mkdtemp(path.join(os.tmpdir(), 'fgq-cli-'));
+  const examples = fileURLToPath(new URL('../examples', import.meta.url));
+  const files = ['reviews-schema.graphql', 'products-schema.graphql'].map(file => path.join(examples, file));
+
+  try {
+    const analyzed = await runCli(['analyze', ...files], { HOME: home });
+    assert.equal(analyzed.code, 0);
+    const cacheName = analyzed.stdout.match(/- Cached as: (.+) \(pass it to --schema\)/)[1];
+    assert.equal(cacheName, path.join(examples, '{products-schema.graphql,reviews-schema.graphql}'));
+
+    const queried = await runCli(['query', 'Product', '--count', '-s', cacheName], { HOME: home });
+    assert.equal(queried.code, 0);
+    assert.match(queried.stdout, /dependencies on Product/);
+  } finally {
+    await fs.remove(home);
+  }
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema } from '../src/analyzer.js';
+import { queryDependencies } from '../src/query.js';
+
+const schema = `
+  extend schema @link(url: "https://specs.apollo.dev/federation/v2.8", import: ["@key", "@context", "@fromContext"])
+
+  type User @key(fields: "id") @context(name: "userContext") {
+    id: ID!
+    currency: Currency
+    transactions: [Transaction]
+  }
+
+  type Account @key(fields: "id") @context(name: "userContext") {
+    id: ID!
+    currency: Currency
+  }
+
+  type Currency {
+    id: ID!
+    code: String
+  }
+
+  type Transaction @key(fields: "id") {
+    id: ID!
+    amount(currency: String @fromContext(field: "$userContext { currency { id } }")): Float
+    broken(code: String @fromContext(field: "$missingContext { code }")): Float
+  }
+`;
+
+test('analyzeSchema resolves @fromContext selections against every type setting the context', async () => {
+  const analysis = await analyzeSchema(schema, 'test-context.graphql');
+
+  assert.deepEqual(analysis.contexts.userContext.map(s => s.type), ['User', 'Account']);
+
+  const contextDeps = analysis.dependencies.filter(d => d.directive === 'fromContext');
+  assert.deepEqual(
+    contextDeps.map(d => `${d.dependedType}.${d.dependedField}`),
+    ['User.currency', 'Currency.id', 'Account.currency', 'Currency.id']
+  );
+  contextDeps.forEach(dep => {
+    assert.equal(dep.dependingType, 'Transaction');
+    assert.equal(dep.dependingField, 'amount');
+    assert.equal(dep.context, 'userContext');
+    assert.equal(dep.argument, 'currency');
+  });
+});
+
+test('analyzeSchema reports @fromContext references to unknown contexts', async () => {
+  const analysis = await analyzeSchema(schema, 'test-context.graphql');
+  const diagnostic = analysis.diagnostics.find(d => d.code === 'unknown-context');
+
+  assert.ok(diagnostic);
+  assert.equal(diagnostic.field, 'broken');
+  assert.match(diagnostic.message, /missingContext/);
+});
+
+test('supergraph contextArguments on @join__field produce fromContext dependencies', async () => {
+  const analysis = await analyzeSchema(`
+    enum join__Graph { LEDGER @join__graph(name: "ledger", url: "http://ledger") }
+    type User @join__type(graph: LEDGER, key: "id") @context(name: "ledger__userContext") {
+      id: ID!
+      currency: String
+    }
+    type Transaction @join__type(graph: LEDGER, key: "id") {
+      id: ID!
+      amount: Float @join__field(graph: LEDGER, contextArguments: [
+        { context: "ledger__userContext", name: "currency", type: "String", selection: "{ currency }" }
+      ])
+    }
+  `, 'test-context-supergraph.graphql');
+
+  const dep = analysis.dependencies.find(d => d.directive === 'fromContext');
+  assert.equal(dep.dependingSubgraph, 'ledger');
+  assert.equal(dep.dependedType, 'User');
+  assert.equal(dep.dependedField, 'currency');
+});
+
+test('queryDependencies returns fromContext dependencies on the context type', async () => {
+  await analyzeSchema(schema, 'test-context.graphql');
+  const deps = await queryDependencies('Account', { schema: 'test-context.graphql' });
+
+  assert.equal(deps.length, 1);
+  assert.equal(deps[0].directive, 'fromContext');
+  assert.equal(deps[0].dependingField, 'amount');
+});
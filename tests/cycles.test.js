@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { queryCycles } from '../src/query.js';
+
+const sources = [
+  {
+    filePath: 'test-cycles/orders.graphql',
+    content: `
+      type Order @key(fields: "id") {
+        id: ID!
+        discount: Float
+        total: Float
+      }
+
+      type Customer @key(fields: "id") {
+        id: ID!
+        tier: String @external
+        lastOrder: Order
+        discountRate: Float @requires(fields: "tier lastOrder { total }")
+      }
+    `,
+  },
+  {
+    filePath: 'test-cycles/loyalty.graphql',
+    content: `
+      type Customer @key(fields: "id") {
+        id: ID!
+        discountRate: Float @external
+        tier: String @requires(fields: "discountRate")
+      }
+    `,
+  },
+];
+
+test('analysis reports field cycles across subgraphs as errors', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-cycles');
+
+  const cycle = analysis.diagnostics.find(d => d.code === 'dependency-cycle');
+  assert.equal(cycle.severity, 'error');
+  assert.deepEqual([...cycle.fields].sort(), ['Customer.discountRate', 'Customer.tier']);
+  assert.deepEqual([...cycle.subgraphs].sort(), ['loyalty', 'orders']);
+
+  const subgraphCycle = analysis.diagnostics.find(d => d.code === 'subgraph-cycle');
+  assert.equal(subgraphCycle.severity, 'warning');
+  assert.deepEqual([...subgraphCycle.subgraphs].sort(), ['loyalty', 'orders']);
+});
+
+test('queryCycles returns field and subgraph cycles with their edges', async () => {
+  await analyzeSchemas(sources, 'test-cycles-query');
+
+  const { fieldCycles, subgraphCycles } = await queryCycles({ schema: 'test-cycles-query' });
+  assert.equal(fieldCycles.length, 1);
+  assert.deepEqual(
+    fieldCycles[0].edges.map(edge => `${edge.from} -> ${edge.to} (${edge.directive}, ${edge.subgraph})`).sort(),
+    [
+      'Customer.discountRate -> Customer.tier (requires, orders)',
+      'Customer.tier -> Customer.discountRate (requires, loyalty)',
+    ]
+  );
+
+  assert.equal(subgraphCycles.length, 1);
+  assert.deepEqual(
+    subgraphCycles[0].edges.map(edge => `${edge.fromSubgraph} -> ${edge.toSubgraph}`).sort(),
+    ['loyalty -> orders', 'orders -> loyalty']
+  );
+});
+
+test('external key fields and one-way dependencies are not cycles', async () => {
+  const analysis = await analyzeSchemas([
+    {
+      filePath: 'test-no-cycles/products.graphql',
+      content: 'type Product @key(fields: "id") { id: ID! price: Float }',
+    },
+    {
+      filePath: 'test-no-cycles/reviews.graphql',
+      content: `
+        extend type Product @key(fields: "id") {
+          id: ID! @external
+          price: Float @external
+          valueScore: Float @requires(fields: "price")
+        }
+      `,
+    },
+  ], 'test-no-cycles');
+
+  assert.ok(!analysis.diagnostics.some(d => d.code === 'dependency-cycle' || d.code === 'subgraph-cycle'));
+});
+
+test('subgraphs referencing each other\'s entities are not a subgraph cycle', async () => {
+  const analysis = await analyzeSchemas([
+    {
+      filePath: 'test-no-cycles-refs/accounts.graphql',
+      content: `
+        type User @key(fields: "id") { id: ID! name: String }
+        extend type Review @key(fields: "id") {
+          id: ID! @external
+          author: User
+        }
+      `,
+    },
+    {
+      filePath: 'test-no-cycles-refs/reviews.graphql',
+      content: `
+        type Review @key(fields: "id") { id: ID! body: String }
+        extend type User @key(fields: "id") {
+          id: ID! @external
+          reviews: [Review]
+        }
+      `,
+    },
+  ], 'test-no-cycles-refs');
+
+  assert.ok(!analysis.diagnostics.some(d => d.code === 'subgraph-cycle'));
+  const { subgraphCycles } = await queryCycles({ schema: 'test-no-cycles-refs' });
+  assert.deepEqual(subgraphCycles, []);
+});
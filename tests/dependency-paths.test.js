@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { queryDependencyPaths } from '../src/query.js';
+
+const sources = [
+  {
+    filePath: 'test-paths/inventory.graphql',
+    content: `
+      type Product @key(fields: "id") {
+        id: ID!
+        inStock: Boolean
+        shippingEstimate: Float @requires(fields: "inStock")
+      }
+    `,
+  },
+  {
+    filePath: 'test-paths/checkout.graphql',
+    content: `
+      type Cart @key(fields: "id") {
+        id: ID!
+        product: Product @external
+        shipping: Float @requires(fields: "product { shippingEstimate }")
+        total: Float @requires(fields: "shipping product { inStock }")
+      }
+    `,
+  },
+];
+
+const describe = (path) => path.hops.map(hop => `${hop.from} -> ${hop.to} (${hop.directive}, ${hop.subgraph})`);
+
+test('queryDependencyPaths finds the shortest chain between two fields', async () => {
+  await analyzeSchemas(sources, 'test-paths');
+
+  const paths = await queryDependencyPaths('Cart.total', 'Product.inStock', { schema: 'test-paths' });
+  assert.equal(paths.length, 1);
+  assert.deepEqual(describe(paths[0]), ['Cart.total -> Product.inStock (requires, checkout)']);
+});
+
+test('queryDependencyPaths lists every chain with all', async () => {
+  await analyzeSchemas(sources, 'test-paths-all');
+
+  const paths = await queryDependencyPaths('Cart.total', 'Product.inStock', { schema: 'test-paths-all', all: true });
+  assert.deepEqual(paths.map(describe), [
+    ['Cart.total -> Product.inStock (requires, checkout)'],
+    [
+      'Cart.total -> Cart.shipping (requires, checkout)',
+      'Cart.shipping -> Product.shippingEstimate (requires, checkout)',
+      'Product.shippingEstimate -> Product.inStock (requires, inventory)',
+    ],
+  ]);
+});
+
+test('queryDependencyPaths accepts types as endpoints and reports missing paths', async () => {
+  await analyzeSchemas(sources, 'test-paths-types');
+
+  const paths = await queryDependencyPaths('Cart', 'Product', { schema: 'test-paths-types' });
+  assert.equal(paths.length, 1);
+  assert.equal(paths[0].hops.length, 1);
+
+  assert.deepEqual(await queryDependencyPaths('Product', 'Cart', { schema: 'test-paths-types' }), []);
+  await assert.rejects(queryDependencyPaths('Cart.nope', 'Product', { schema: 'test-paths-types' }), /not found/);
+});
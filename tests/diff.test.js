@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { analyzeSchema } from '../src/analyzer.js';
+import { hasCache } from '../src/cache.js';
+import { diffSchemas, formatSchemaDiff, hasChanges } from '../src/diff.js';
+
+const oldSchema = `
+  type Product @key(fields: "id") {
+    id: ID!
+    sku: String!
+    price: Float
+    legacyCode: String
+  }
+
+  type Review @key(fields: "id") {
+    id: ID!
+    product: Product @external
+    isGoodValue: Boolean @requires(fields: "product { price }")
+  }
+`;
+
+const newSchema = `
+  type Product @key(fields: "id") @key(fields: "sku") {
+    id: ID!
+    sku: String!
+    price: Float!
+    weight: Float
+  }
+
+  type Review @key(fields: "id") {
+    id: ID!
+    product: Product @external
+    isGoodValue: Boolean @requires(fields: "product { price weight }")
+  }
+
+  enum Currency {
+    EUR
+    USD
+  }
+`;
+
+test('diffSchemas reports types, fields, key sets and dependencies that changed', async () => {
+  await analyzeSchema(oldSchema, 'old-diff.graphql');
+  await analyzeSchema(newSchema, 'new-diff.graphql');
+
+  const diff = await diffSchemas('old-diff.graphql', 'new-diff.graphql');
+
+  // Single subgraphs named after different files are compared as one
+  assert.deepEqual(diff.comparedSubgraphs, { from: 'old', to: 'new' });
+
+  assert.deepEqual(diff.types.added, [{ name: 'Currency', kind: 'enum' }]);
+  assert.deepEqual(diff.types.removed, []);
+  assert.deepEqual(diff.fields.added.map(f => `${f.type}.${f.field}: ${f.fieldType}`), ['Product.weight: Float']);
+  assert.deepEqual(diff.fields.removed.map(f => `${f.type}.${f.field}`), ['Product.legacyCode']);
+  assert.deepEqual(diff.fields.changed, [{ type: 'Product', field: 'price', from: 'Float', to: 'Float!' }]);
+  assert.deepEqual(diff.keys.added.map(k => `${k.type} ${k.fields} ${k.subgraph}`), ['Product sku new']);
+  assert.deepEqual(diff.keys.removed, []);
+
+  const requires = diff.dependencies.find(group => group.directive === 'requires');
+  assert.equal(requires.subgraph, 'new');
+  assert.deepEqual(requires.added.map(dep => `${dep.depending} -> ${dep.depended}`), ['Review.isGoodValue -> Product.weight']);
+  assert.deepEqual(requires.removed, []);
+
+  const text = formatSchemaDiff(diff);
+  assert.match(text, /\+ Product\.weight: Float/);
+  assert.match(text, /~ Product\.price: Float -> Float!/);
+});
+
+test('diffSchemas finds no changes between identical analyses', async () => {
+  await analyzeSchema(oldSchema, 'same-diff.graphql');
+
+  const diff = await diffSchemas('old-diff.graphql', 'same-diff.graphql');
+  assert.equal(hasChanges(diff), false);
+  assert.match(formatSchemaDiff(diff), /No changes/);
+});
+
+test('diffSchemas fails for schemas that are neither on disk nor cached', async () => {
+  await assert.rejects(() => diffSchemas('missing-old-diff.graphql', 'missing-new-diff.graphql'), /No cached analysis/);
+});
+
+test('diffSchemas analyzes schema files on disk without caching them', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fgq-diff-'));
+
+  try {
+    await fs.writeFile(path.join(dir, 'old.graphql'), oldSchema);
+    await fs.writeFile(path.join(dir, 'new.graphql'), newSchema);
+
+    const diff = await diffSchemas(path.join(dir, 'old.graphql'), path.join(dir, 'new.graphql'));
+    assert.ok(hasChanges(diff));
+    assert.equal(await hasCache(path.join(dir, 'old.graphql')), false);
+    assert.equal(await hasCache(path.join(dir, 'new.graphql')), false);
+  } finally {
+    await fs.remove(dir);
+  }
+});
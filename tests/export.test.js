@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { buildExportGraph, formatExportGraph } from '../src/export.js';
+
+// Product.name is @shareable, so both products and shipping resolve it
+const sources = [
+  {
+    filePath: 'test-export/products.graphql',
+    content: `
+      type Product @key(fields: "id") {
+        id: ID!
+        name: String! @shareable
+        price: Float!
+        category: Category
+      }
+
+      type Category {
+        title: String
+      }
+    `,
+  },
+  {
+    filePath: 'test-export/shipping.graphql',
+    content: `
+      extend type Product @key(fields: "id") {
+        id: ID! @external
+        name: String! @shareable
+        price: Float! @external
+        shippingCost: Float! @requires(fields: "price")
+      }
+
+      type Shipment @key(fields: "id") {
+        id: ID!
+        product: Product @provides(fields: "price")
+      }
+    `,
+  },
+  {
+    filePath: 'test-export/search.graphql',
+    content: `
+      extend type Product @key(fields: "id") {
+        id: ID! @external
+        name: String! @external
+        slug: String @requires(fields: "name")
+      }
+    `,
+  },
+];
+
+test('buildExportGraph groups field nodes by subgraph and leaves shared ones ungrouped', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-export');
+  const graph = buildExportGraph(analysis);
+
+  const subgraphOf = Object.fromEntries(graph.nodes.map(n => [n.id, n.subgraph]));
+  assert.equal(subgraphOf['Product.price'], 'products');
+  assert.equal(subgraphOf['Product.slug'], 'search');
+  assert.equal(subgraphOf['Product.name'], null);
+  assert.deepEqual(graph.edges.map(e => `${e.from} -> ${e.to} ${e.directive}`), [
+    'Product._entity -> Product.id key',
+    'Product.shippingCost -> Product.price requires',
+    'Product.slug -> Product.name requires',
+    'Shipment.product -> Product.price provides',
+  ]);
+
+  const dot = formatExportGraph(graph, 'dot');
+  assert.match(dot, /^ {2}"Product\.name";$/m);
+  assert.match(dot, /subgraph "cluster_search" \{\n {4}label="search";\n {4}"Product\.slug";\n {2}\}/);
+});
+
+test('buildExportGraph keeps one counted edge per directive at subgraph level', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-export');
+  const graph = buildExportGraph(analysis, { level: 'subgraph' });
+
+  assert.deepEqual(graph.nodes.map(n => n.id), ['products', 'search', 'shipping']);
+  assert.deepEqual(
+    graph.edges.filter(e => e.from === 'shipping').map(e => `${e.directive} ${e.count}`),
+    ['external 1', 'key 1', 'provides 1', 'requires 1']
+  );
+  // A shareable field links its dependents to every subgraph resolving it
+  assert.deepEqual(
+    graph.edges.filter(e => e.directive === 'requires' && e.from === 'search').map(e => e.to),
+    ['products', 'shipping']
+  );
+
+  const labels = formatExportGraph(buildExportGraph(analysis, { level: 'subgraph', directive: 'key' }), 'dot');
+  assert.match(labels, /"shipping" -> "products" \[label="key"\];/);
+});
+
+test('buildExportGraph filters to the neighborhood of a type', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-export');
+
+  const near = buildExportGraph(analysis, { level: 'type', directive: 'field_type', around: 'Shipment' });
+  assert.deepEqual(near.edges.map(e => `${e.from} -> ${e.to}`), ['Shipment -> Product']);
+
+  const wider = buildExportGraph(analysis, { level: 'type', directive: 'field_type', around: 'Shipment', depth: 2 });
+  assert.deepEqual(wider.edges.map(e => `${e.from} -> ${e.to}`), ['Product -> Category', 'Shipment -> Product']);
+
+  assert.throws(() => buildExportGraph(analysis, { around: 'Missing' }), /Type "Missing" not found/);
+});
+
+test('formatExportGraph renders Mermaid, GraphML and Cytoscape JSON', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-export');
+  const graph = buildExportGraph(analysis, { directive: 'requires' });
+  const ids = Object.fromEntries(graph.nodes.map((n, index) => [n.id, `n${index}`]));
+
+  const mermaid = formatExportGraph(graph, 'mermaid');
+  assert.match(mermaid, /^flowchart LR/);
+  assert.match(mermaid, new RegExp(`subgraph g\\d \\["search"\\]\n {4}${ids['Product.slug']}\\["Product\\.slug"\\]\n {2}end`));
+  assert.ok(mermaid.includes(`${ids['Product.slug']} -->|"requires"| ${ids['Product.name']}`));
+
+  const graphml = formatExportGraph(graph, 'graphml');
+  assert.match(graphml, /<edge id="e1" source="Product.slug" target="Product.name">/);
+  assert.doesNotMatch(graphml, /<node id="Product.name">\n\s+<data key="label">Product.name<\/data>\n\s+<data key="subgraph">/);
+
+  const cytoscape = JSON.parse(formatExportGraph(graph, 'cytoscape'));
+  const node = (id) => cytoscape.elements.nodes.find(n => n.data.id === id);
+  assert.equal(node('Product.slug').data.parent, 'subgraph:search');
+  assert.equal(node('Product.name').data.parent, undefined);
+  assert.ok(node('subgraph:search'));
+
+  assert.throws(() => formatExportGraph(graph, 'svg'), /Unknown format "svg"/);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { queryFederationDirectives } from '../src/query.js';
+
+const sources = [
+  {
+    filePath: 'products.graphql',
+    content: `
+      type Product @key(fields: "id") @tag(name: "public") {
+        id: ID!
+        name: String! @shareable
+        price: Float @inaccessible
+      }
+      type Shipping @shareable { cost: Float }
+    `,
+  },
+  {
+    filePath: 'pricing.graphql',
+    content: `
+      type Product @key(fields: "id") {
+        id: ID!
+        name: String! @shareable @tag(name: "catalog")
+        price: Float @override(from: "products", label: "percent(20)")
+      }
+      type Media @interfaceObject @key(fields: "id") { id: ID! }
+    `,
+  },
+];
+
+test('analyzeSchemas records Federation 2 directive meaning on types and fields', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-federation-directives');
+  const product = analysis.types.Product;
+
+  assert.deepEqual(product.federation.tags, ['public']);
+  assert.deepEqual(product.fields.name.federation.shareableIn, ['products', 'pricing']);
+  assert.deepEqual(product.fields.name.federation.tags, ['catalog']);
+  assert.equal(product.fields.price.federation.inaccessible, true);
+  assert.deepEqual(product.fields.price.federation.override, [
+    { subgraph: 'pricing', from: 'products', label: 'percent(20)' },
+  ]);
+
+  // @shareable on a type applies to all of its fields
+  assert.deepEqual(analysis.types.Shipping.fields.cost.federation.shareableIn, ['products']);
+  assert.deepEqual(analysis.types.Media.federation.interfaceObjectIn, ['pricing']);
+});
+
+test('supergraph overrides and shared resolution are read from @join__field', async () => {
+  const analysis = await analyzeSchemas([{
+    filePath: 'supergraph.graphql',
+    content: `
+      enum join__Graph {
+        PRODUCTS @join__graph(name: "products", url: "http://products")
+        PRICING @join__graph(name: "pricing", url: "http://pricing")
+      }
+      type Product @join__type(graph: PRODUCTS, key: "id") @join__type(graph: PRICING, key: "id") {
+        id: ID!
+        name: String @join__field(graph: PRODUCTS) @join__field(graph: PRICING)
+        price: Float @join__field(graph: PRICING, override: "products", overrideLabel: "percent(5)")
+      }
+    `,
+  }], 'test-federation-supergraph');
+  const fields = analysis.types.Product.fields;
+
+  assert.deepEqual(fields.name.federation.shareableIn, ['products', 'pricing']);
+  assert.deepEqual(fields.price.federation.override, [
+    { subgraph: 'pricing', from: 'products', label: 'percent(5)' },
+  ]);
+});
+
+test('queryFederationDirectives filters by directive and tag', async () => {
+  await analyzeSchemas(sources, 'test-federation-directives');
+
+  const overrides = await queryFederationDirectives({
+    schema: 'test-federation-directives',
+    directive: 'override',
+  });
+  assert.equal(overrides.length, 1);
+  assert.equal(overrides[0].field, 'price');
+  assert.equal(overrides[0].from, 'products');
+
+  const tagged = await queryFederationDirectives({ schema: 'test-federation-directives', tag: 'catalog' });
+  assert.deepEqual(tagged.map(e => `${e.type}.${e.field}`), ['Product.name']);
+});
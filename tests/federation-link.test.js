@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema, analyzeSchemas } from '../src/analyzer.js';
+
+test('analyzeSchema uses renamed directives imported through @link', async () => {
+  const analysis = await analyzeSchema(`
+    extend schema @link(
+      url: "https://specs.apollo.dev/federation/v2.3",
+      import: [{ name: "@key", as: "@primaryKey" }, "@external", { name: "@requires", as: "@needs" }]
+    )
+
+    type Product @primaryKey(fields: "id") {
+      id: ID!
+      price: Float @external
+      tax: Float @needs(fields: "price")
+    }
+  `, 'test-link-renamed.graphql');
+
+  assert.equal(analysis.metadata.federationVersion, '2.3');
+  assert.deepEqual(analysis.types.Product.keyFields, ['id']);
+
+  const taxDep = analysis.dependencies.find(d => d.dependingField === 'tax');
+  assert.equal(taxDep.directive, 'requires');
+  assert.equal(taxDep.dependedField, 'price');
+});
+
+test('analyzeSchema understands namespaced @federation__* directives that were not imported', async () => {
+  const analysis = await analyzeSchema(`
+    extend schema @link(url: "https://specs.apollo.dev/federation/v2.0", import: ["@key"])
+
+    type Product @key(fields: "id") {
+      id: ID!
+      weight: Float @federation__external
+      shipping: Float @federation__requires(fields: "weight")
+      # Not imported, so this is not the federation @requires
+      other: Float @requires(fields: "weight")
+    }
+  `, 'test-link-namespaced.graphql');
+
+  const requiresDeps = analysis.dependencies.filter(d => d.directive === 'requires');
+  assert.deepEqual(requiresDeps.map(d => d.dependingField), ['shipping']);
+});
+
+test('analyzeSchema honors a custom @link namespace', async () => {
+  const analysis = await analyzeSchema(`
+    schema @link(url: "https://specs.apollo.dev/federation/v2.5", as: "fed") { query: Query }
+
+    type Query { product: Product }
+    type Product @fed__key(fields: "sku") {
+      sku: String!
+      price: Float @fed__external
+      total: Float @fed__requires(fields: "price")
+    }
+  `, 'test-link-namespace.graphql');
+
+  assert.deepEqual(analysis.types.Product.keyFields, ['sku']);
+  assert.ok(analysis.dependencies.some(d => d.dependingField === 'total' && d.directive === 'requires'));
+});
+
+test('analysis metadata records the federation version of each source', async () => {
+  const analysis = await analyzeSchemas([
+    { filePath: 'legacy.graphql', content: 'type A @key(fields: "id") { id: ID! }' },
+    {
+      filePath: 'modern.graphql',
+      content: `
+        extend schema @link(url: "https://specs.apollo.dev/federation/v2.7", import: ["@key"])
+        type B @key(fields: "id") { id: ID! }
+      `,
+    },
+  ], 'test-link-versions');
+
+  assert.deepEqual(analysis.metadata.sources.map(s => s.federationVersion), ['1', '2.7']);
+  assert.equal(analysis.metadata.federationVersion, '2.7');
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseFieldSet } from '../src/field-set.js';
+import { analyzeSchema } from '../src/analyzer.js';
+
+test('parseFieldSet handles commas, aliases, arguments and comments', () => {
+  const { selections, error } = parseFieldSet(`
+    # dimensions in centimeters
+    d: dimensions(unit: "cm") { width, height }
+    price
+  `);
+
+  assert.equal(error, null);
+  assert.deepEqual(selections.map(s => s.path), [
+    'dimensions',
+    'dimensions.width',
+    'dimensions.height',
+    'price',
+  ]);
+
+  const dimensions = selections[0];
+  assert.equal(dimensions.alias, 'd');
+  assert.deepEqual(dimensions.arguments, [{ name: 'unit', value: '"cm"' }]);
+});
+
+test('parseFieldSet records type conditions and offsets', () => {
+  const fieldSet = 'media { ... on Book { isbn } }';
+  const { selections } = parseFieldSet(fieldSet);
+  const isbn = selections.find(s => s.field === 'isbn');
+
+  assert.deepEqual(isbn.pathConditions, [null, 'Book']);
+  assert.equal(isbn.typeCondition, 'Book');
+  assert.equal(fieldSet.slice(isbn.offset, isbn.offset + 4), 'isbn');
+});
+
+test('parseFieldSet reports syntax errors with their offset', () => {
+  const unclosed = parseFieldSet('price { ');
+  assert.deepEqual(unclosed.selections, []);
+  assert.match(unclosed.error.message, /found end of field set/);
+  assert.equal(unclosed.error.offset, 8);
+
+  const spread = parseFieldSet('...ProductFields');
+  assert.match(spread.error.message, /Named fragment spread/);
+});
+
+test('analyzeSchema reports unparsable field sets as diagnostics pointing at the directive', async () => {
+  const analysis = await analyzeSchema(`
+    type Product @key(fields: "id {") {
+      id: ID!
+      price: Float @external
+      total: Float @requires(fields: "price }")
+    }
+  `, 'test-field-set.graphql');
+
+  assert.equal(analysis.diagnostics.length, 2);
+
+  const [keyDiagnostic, requiresDiagnostic] = analysis.diagnostics;
+  assert.equal(keyDiagnostic.directive, 'key');
+  assert.equal(keyDiagnostic.type, 'Product');
+  assert.deepEqual(keyDiagnostic.location, { file: 'test-field-set.graphql', line: 2, column: 18 });
+
+  assert.equal(requiresDiagnostic.directive, 'requires');
+  assert.equal(requiresDiagnostic.field, 'total');
+  assert.equal(requiresDiagnostic.severity, 'error');
+  assert.equal(requiresDiagnostic.location.line, 5);
+
+  // No silently wrong dependencies are recorded for the broken field set
+  assert.ok(!analysis.dependencies.some(d => d.dependingField === 'total'));
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema } from '../src/analyzer.js';
+import { queryFieldDependencies, parseFieldReference } from '../src/query.js';
+
+const schema = `
+  type Review @key(fields: "id") {
+    id: ID!
+    product: Product @external
+    author: User
+    isGoodValue: Boolean @requires(fields: "product { price weight }")
+  }
+
+  type Product @key(fields: "id") {
+    id: ID!
+    price: Float
+    weight: Float
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+  }
+`;
+
+test('parseFieldReference splits Type.field', () => {
+  assert.deepEqual(parseFieldReference('Review.isGoodValue'), { type: 'Review', field: 'isGoodValue' });
+  assert.deepEqual(parseFieldReference('Review', 'author'), { type: 'Review', field: 'author' });
+  assert.deepEqual(parseFieldReference('Review'), { type: 'Review', field: null });
+});
+
+test('queryFieldDependencies lists what a field depends on', async () => {
+  await analyzeSchema(schema, 'test-forward-deps.graphql');
+
+  const results = await queryFieldDependencies('Review.isGoodValue', { schema: 'test-forward-deps.graphql' });
+  assert.deepEqual(
+    results.map(d => `${d.dependedType}.${d.dependedField} via ${d.directive}`).sort(),
+    ['Product.price via requires', 'Product.weight via requires', 'Review.product via requires']
+  );
+
+  const topLevel = await queryFieldDependencies('Review.isGoodValue', {
+    schema: 'test-forward-deps.graphql',
+    topLevel: true,
+  });
+  assert.deepEqual(topLevel.map(d => d.fieldPath), ['product']);
+});
+
+test('queryFieldDependencies follows chains of dependencies with depth control', async () => {
+  await analyzeSchema(`
+    type Cart @key(fields: "id") {
+      id: ID!
+      offer: Offer @external
+      total: Float @requires(fields: "offer { discounted }")
+    }
+
+    type Offer @key(fields: "id") {
+      id: ID!
+      product: Product @external
+      discounted: Float @requires(fields: "product { price }")
+    }
+
+    type Product @key(fields: "id") {
+      id: ID!
+      price: Float
+    }
+  `, 'test-forward-deps-chain.graphql');
+  const options = { schema: 'test-forward-deps-chain.graphql' };
+
+  const results = await queryFieldDependencies('Cart.total', options);
+  const price = results.find(d => d.dependingType === 'Offer' && d.dependedField === 'price');
+  assert.equal(price.depth, 2);
+  assert.deepEqual(price.chain, ['Cart.total', 'Offer.discounted', 'Product.price']);
+
+  const direct = await queryFieldDependencies('Cart.total', { ...options, direct: true });
+  assert.deepEqual(direct.map(d => `${d.dependedType}.${d.dependedField}`).sort(), ['Cart.offer', 'Offer.discounted']);
+  assert.deepEqual(
+    await queryFieldDependencies('Cart.total', { ...options, depth: 1 }),
+    direct
+  );
+  assert.ok(!direct.some(d => d.depth > 1));
+});
+
+test('queryFieldDependencies covers every field of a type', async () => {
+  await analyzeSchema(schema, 'test-forward-deps-type.graphql');
+
+  const results = await queryFieldDependencies('Review', { schema: 'test-forward-deps-type.graphql' });
+  assert.ok(results.some(d => d.dependingField === 'author' && d.directive === 'field_type'));
+  assert.ok(results.some(d => d.dependingField === 'isGoodValue'));
+  assert.ok(results.every(d => d.dependingType === 'Review'));
+});
+
+test('queryFieldDependencies rejects unknown types and fields', async () => {
+  await analyzeSchema(schema, 'test-forward-deps-unknown.graphql');
+
+  await assert.rejects(
+    queryFieldDependencies('Review.nope', { schema: 'test-forward-deps-unknown.graphql' }),
+    /Field "Review.nope" not found/
+  );
+  await assert.rejects(
+    queryFieldDependencies('Nope', { schema: 'test-forward-deps-unknown.graphql' }),
+    /Type "Nope" not found/
+  );
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { queryImpact, formatImpactReport } from '../src/impact.js';
+
+const products = `
+  interface Priced {
+    price: Float!
+  }
+
+  type Product implements Priced @key(fields: "id") @key(fields: "sku") {
+    id: ID!
+    sku: String!
+    price: Float!
+    note: String
+  }
+`;
+
+const inventory = `
+  extend type Product @key(fields: "id") {
+    id: ID! @external
+    price: Float! @external
+    inventoryValue: Float @requires(fields: "price")
+  }
+
+  type InventoryItem @key(fields: "id") {
+    id: ID!
+    product: Product
+    totalValue: Float @requires(fields: "product { inventoryValue }")
+  }
+`;
+
+const schemaName = 'test-impact';
+
+async function analyze() {
+  await analyzeSchemas([
+    { content: products, filePath: 'test-impact/products.graphql' },
+    { content: inventory, filePath: 'test-impact/inventory.graphql' },
+  ], schemaName);
+}
+
+test('queryImpact lists the dependencies that break when a field is removed', async () => {
+  await analyze();
+
+  const report = await queryImpact('Product.price', { schema: schemaName });
+  assert.equal(report.change, 'remove');
+  assert.equal(report.field.type, 'Float!');
+  assert.deepEqual(report.interfaces, ['Priced']);
+  assert.ok(report.breaking.some(d => d.dependingField === 'inventoryValue' && d.directive === 'requires'));
+  assert.deepEqual(report.review, []);
+  assert.deepEqual(
+    report.transitive.map(d => d.chain.join(' <- ')),
+    ['Product.price <- Product.inventoryValue <- InventoryItem.totalValue']
+  );
+  assert.deepEqual(report.subgraphs.map(s => s.name).sort(), ['inventory', 'products']);
+});
+
+test('queryImpact follows an interface field to its implementations', async () => {
+  await analyze();
+
+  const report = await queryImpact('Priced.price', { schema: schemaName });
+  assert.deepEqual(report.implementations, ['Product']);
+  assert.ok(report.breaking.some(d => d.dependingType === 'Product' && d.dependingField === 'inventoryValue'));
+});
+
+test('queryImpact reports entity resolution paths through key fields', async () => {
+  await analyze();
+
+  const report = await queryImpact('Product.id', { schema: schemaName, change: 'nullable' });
+  assert.deepEqual(
+    report.entityResolution.map(k => `${k.fields} in ${k.subgraph}`).sort(),
+    ['id in inventory', 'id in products']
+  );
+  assert.ok(report.breaking.some(d => d.directive === 'key'));
+
+  const sku = await queryImpact('Product.sku', { schema: schemaName, change: 'remove' });
+  assert.deepEqual(sku.entityResolution.map(k => k.fields), ['sku']);
+});
+
+test('queryImpact marks @requires dependents for review when a field becomes nullable', async () => {
+  await analyze();
+
+  const report = await queryImpact('Product.price', { schema: schemaName, change: 'nullable' });
+  assert.deepEqual(report.breaking, []);
+  assert.ok(report.review.some(d => d.dependingField === 'inventoryValue'));
+
+  const already = await queryImpact('Product.note', { schema: schemaName, change: 'nullable' });
+  assert.equal(already.note, 'Product.note is already nullable');
+  assert.deepEqual(already.breaking, []);
+});
+
+test('queryImpact maps subgraphs to teams and rejects unknown changes', async () => {
+  await analyze();
+
+  const report = await queryImpact('Product.price', {
+    schema: schemaName,
+    owners: { inventory: 'Team Stock' },
+  });
+  assert.deepEqual(report.subgraphs.find(s => s.name === 'inventory'), { name: 'inventory', team: 'Team Stock' });
+
+  const markdown = formatImpactReport(report);
+  assert.match(markdown, /^## Impact: Removing `Product.price`/);
+  assert.match(markdown, /- inventory \(Team Stock\)/);
+
+  await assert.rejects(() => queryImpact('Product.price', { schema: schemaName, change: 'rename' }), /Unknown change/);
+  await assert.rejects(() => queryImpact('Product.missing', { schema: schemaName }), /not found/);
+});
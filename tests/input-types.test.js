@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema } from '../src/analyzer.js';
+import { queryDependencies, queryTypeDetails } from '../src/query.js';
+
+const schema = `
+  scalar DateTime
+  enum Currency { USD EUR }
+  extend enum Currency { GBP }
+
+  input PriceFilter {
+    min: Float
+    max: Float
+    currency: Currency = USD
+  }
+
+  input ProductSearch {
+    price: PriceFilter!
+    since: DateTime
+  }
+
+  type Query {
+    products(search: ProductSearch, first: Int = 10): [Product!]!
+  }
+
+  type Product @key(fields: "id") {
+    id: ID!
+    price(currency: Currency!): Float
+    createdAt: DateTime
+  }
+`;
+
+test('analyzeSchema records field arguments, input objects, enums and custom scalars', async () => {
+  const analysis = await analyzeSchema(schema, 'test-input-types.graphql');
+
+  assert.deepEqual(analysis.types.Query.fields.products.arguments.map(a => a.name), ['search', 'first']);
+  const first = analysis.types.Query.fields.products.arguments.find(a => a.name === 'first');
+  assert.equal(first.type, 'Int');
+  assert.equal(first.defaultValue, '10');
+
+  const currencyArg = analysis.types.Product.fields.price.arguments[0];
+  assert.equal(currencyArg.type, 'Currency');
+  assert.equal(currencyArg.isNonNullType, true);
+
+  assert.deepEqual(Object.keys(analysis.inputTypes.PriceFilter.fields), ['min', 'max', 'currency']);
+  assert.equal(analysis.inputTypes.PriceFilter.fields.currency.defaultValue, 'USD');
+  assert.deepEqual(analysis.enums.Currency.values.map(v => v.name), ['USD', 'EUR', 'GBP']);
+  assert.ok(analysis.scalars.DateTime);
+  assert.equal(analysis.scalars.Float, undefined);
+});
+
+test('analyzeSchema emits structural dependencies for argument and input field types', async () => {
+  const analysis = await analyzeSchema(schema, 'test-input-types-deps.graphql');
+
+  const argDeps = analysis.dependencies.filter(d => d.directive === 'argument_type');
+  assert.deepEqual(
+    argDeps.map(d => `${d.dependingType}.${d.dependingField}(${d.argument}) -> ${d.dependedType}`).sort(),
+    ['Product.price(currency) -> Currency', 'Query.products(search) -> ProductSearch']
+  );
+
+  const inputDeps = analysis.dependencies.filter(d => d.directive === 'input_field_type');
+  assert.deepEqual(
+    inputDeps.map(d => `${d.dependingType}.${d.dependingField} -> ${d.dependedType}`).sort(),
+    ['PriceFilter.currency -> Currency', 'ProductSearch.price -> PriceFilter', 'ProductSearch.since -> DateTime']
+  );
+
+  assert.ok(analysis.dependencies.some(
+    d => d.directive === 'field_type' && d.dependingField === 'createdAt' && d.dependedType === 'DateTime'
+  ));
+});
+
+test('queryDependencies finds the fields that take an enum or input argument', async () => {
+  await analyzeSchema(schema, 'test-input-types-query.graphql');
+
+  const currencyDeps = await queryDependencies('Currency', { schema: 'test-input-types-query.graphql' });
+  assert.deepEqual(
+    currencyDeps.map(d => `${d.dependingType}.${d.dependingField}`).sort(),
+    ['PriceFilter.currency', 'Product.price']
+  );
+
+  const details = await queryTypeDetails('PriceFilter', { schema: 'test-input-types-query.graphql' });
+  assert.ok(details.fields.currency);
+  assert.ok(details.dependencies.some(d => d.dependingType === 'ProductSearch'));
+});
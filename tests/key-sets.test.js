@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema, analyzeSchemas } from '../src/analyzer.js';
+
+test('analyzeSchema keeps alternative @key sets apart', async () => {
+  const analysis = await analyzeSchema(`
+    type Product @key(fields: "id") @key(fields: "sku package") @key(fields: "upc", resolvable: false) {
+      id: ID!
+      sku: String!
+      package: String!
+      upc: String!
+    }
+  `, 'test-key-sets.graphql');
+
+  const keys = analysis.types.Product.keys.map(k => [k.fields, k.paths, k.subgraph, k.resolvable]);
+  assert.deepEqual(keys, [
+    ['id', ['id'], 'test', true],
+    ['sku package', ['sku', 'package'], 'test', true],
+    ['upc', ['upc'], 'test', false],
+  ]);
+  // The flat list of key fields is still available
+  assert.deepEqual(analysis.types.Product.keyFields, ['id', 'sku', 'package', 'upc']);
+});
+
+test('key sets from several subgraphs keep their subgraph', async () => {
+  const analysis = await analyzeSchemas([
+    {
+      filePath: 'test-key-sets/products.graphql',
+      content: 'type Product @key(fields: "id") { id: ID! sku: String! }',
+    },
+    {
+      filePath: 'test-key-sets/inventory.graphql',
+      content: 'extend type Product @key(fields: "sku") { sku: String! @external stock: Int }',
+    },
+  ], 'test-key-sets');
+
+  assert.deepEqual(
+    analysis.types.Product.keys.map(k => [k.subgraph, k.fields]),
+    [['products', 'id'], ['inventory', 'sku']]
+  );
+
+  const entityDeps = analysis.dependencies.filter(d => d.dependingField === '_entity');
+  assert.deepEqual(entityDeps.map(d => [d.dependingSubgraph, d.dependedField, d.key.fields]), [
+    ['inventory', 'sku', 'sku'],
+  ]);
+});
+
+test('dependencies on key fields say which key they satisfy', async () => {
+  const analysis = await analyzeSchema(`
+    extend type Product @key(fields: "id") @key(fields: "sku package") @key(fields: "upc", resolvable: false) {
+      id: ID! @external
+      sku: String! @external
+      package: String! @external
+      upc: String! @external
+    }
+
+    type Review {
+      product: Product
+      summary: String @requires(fields: "product { package }")
+    }
+  `, 'test-key-sets-deps.graphql');
+
+  const packageDep = analysis.dependencies.find(d => d.dependingField === 'summary' && d.dependedField === 'package');
+  assert.equal(packageDep.directive, 'key');
+  assert.deepEqual(packageDep.key, { fields: 'sku package', subgraph: 'test', resolvable: true });
+
+  // Non-resolvable keys don't create entity resolution dependencies
+  const entityDeps = analysis.dependencies.filter(d => d.dependingField === '_entity');
+  assert.deepEqual(entityDeps.map(d => [d.dependedField, d.key.fields]), [
+    ['id', 'id'],
+    ['sku', 'sku package'],
+    ['package', 'sku package'],
+  ]);
+});
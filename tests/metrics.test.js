@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { computeMetrics, formatMetricsTables } from '../src/metrics.js';
+
+// accounts and reviews lean on products, reviews on accounts too
+const sources = [
+  {
+    filePath: 'test-metrics/products.graphql',
+    content: `
+      type Product @key(fields: "id") {
+        id: ID!
+        name: String!
+        price: Float!
+      }
+    `,
+  },
+  {
+    filePath: 'test-metrics/accounts.graphql',
+    content: `
+      type User @key(fields: "id") {
+        id: ID!
+        username: String!
+        budget: Float!
+      }
+
+      extend type Product @key(fields: "id") {
+        id: ID! @external
+        price: Float! @external
+        affordable: Boolean @requires(fields: "price")
+      }
+    `,
+  },
+  {
+    filePath: 'test-metrics/reviews.graphql',
+    content: `
+      type Review @key(fields: "id") {
+        id: ID!
+        author: User @provides(fields: "username")
+        product: Product
+      }
+
+      extend type User @key(fields: "id") {
+        id: ID! @external
+        username: String! @external
+      }
+
+      extend type Product @key(fields: "id") {
+        id: ID! @external
+        name: String! @external
+        price: Float! @external
+        summary: String @requires(fields: "name price")
+      }
+    `,
+  },
+];
+
+test('computeMetrics reports fan-in, fan-out and instability per subgraph', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-metrics');
+  const metrics = computeMetrics(analysis);
+
+  assert.deepEqual(
+    metrics.subgraphs.map(s => `${s.name} ${s.fanIn}/${s.fanOut} ${s.instability}`),
+    ['accounts 1/1 0.5', 'products 2/0 0', 'reviews 0/2 1']
+  );
+});
+
+test('computeMetrics splits the matrix by directive and can keep one directive', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-metrics');
+
+  const cell = computeMetrics(analysis).matrix.find(c => c.from === 'reviews' && c.to === 'accounts');
+  assert.deepEqual(cell.byDirective, { provides: 1, key: 1, external: 1 });
+  assert.equal(cell.total, 3);
+
+  const requires = computeMetrics(analysis, { directive: '@requires' });
+  assert.deepEqual(
+    requires.matrix.map(c => `${c.from} -> ${c.to} ${c.total}`),
+    ['accounts -> products 1', 'reviews -> products 2']
+  );
+  // Without @provides, nothing depends on accounts
+  assert.equal(requires.subgraphs.find(s => s.name === 'accounts').instability, 1);
+});
+
+test('computeMetrics ranks hotspots by the number of dependent fields', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-metrics');
+  const metrics = computeMetrics(analysis, { top: 2 });
+
+  assert.deepEqual(metrics.hotspots.map(h => [h.field, h.dependents, h.subgraphs]), [
+    ['Product.price', 2, ['accounts', 'reviews']],
+    ['Product.id', 1, ['accounts', 'reviews']],
+  ]);
+  assert.deepEqual(metrics.hotspots[0].resolvedBy, ['products']);
+  assert.match(formatMetricsTables(metrics), /Product\.price/);
+});
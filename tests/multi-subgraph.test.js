@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { analyzeSchemas, collectSchemaSources, getSourcesCachePath, hasSameSources } from '../src/analyzer.js';
+
+const examplesDir = path.join(process.cwd(), 'examples');
+
+test('collectSchemaSources expands a directory into one source per subgraph file', async () => {
+  const sources = await collectSchemaSources([examplesDir]);
+
+  assert.equal(sources.length, 3);
+  assert.ok(sources.every(s => s.content.length > 0));
+  assert.equal(getSourcesCachePath([examplesDir]), examplesDir);
+});
+
+test('analyzeSchemas resolves field specs across subgraph boundaries', async () => {
+  const sources = await collectSchemaSources([examplesDir]);
+  const analysis = await analyzeSchemas(sources, examplesDir);
+
+  assert.deepEqual(analysis.metadata.subgraphs, ['inventory', 'products', 'reviews']);
+
+  // Product is defined in products and extended in inventory and reviews
+  const product = analysis.types['Product'];
+  assert.equal(product.isExtension, false);
+  assert.deepEqual(product.subgraphs, ['inventory', 'products', 'reviews']);
+  assert.deepEqual(product.fields.inStock.subgraphs, ['inventory']);
+
+  // reviews requires product { price }, which resolves to the merged Product type
+  const priceDep = analysis.dependencies.find(d =>
+    d.dependingType === 'Review' &&
+    d.dependingField === 'isGoodValue' &&
+    d.dependedField === 'price'
+  );
+  assert.ok(priceDep);
+  assert.equal(priceDep.dependedType, 'Product');
+  assert.equal(priceDep.dependingSubgraph, 'reviews');
+
+  // Field type dependencies are recorded once, even for fields shared by several subgraphs
+  const dimensionTypeDeps = analysis.dependencies.filter(d =>
+    d.directive === 'field_type' && d.dependingType === 'Product' && d.dependingField === 'dimensions'
+  );
+  assert.equal(dimensionTypeDeps.length, 1);
+});
+
+test('analyzeSchemas reports parse errors with the offending file name', async () => {
+  await assert.rejects(
+    analyzeSchemas([
+      { filePath: 'good.graphql', content: 'type A { id: ID }' },
+      { filePath: 'broken.graphql', content: 'type B {' },
+    ], 'broken-set'),
+    /broken\.graphql/
+  );
+});
+
+test('analyzeSchemas keeps files sharing a name prefix as separate subgraphs', async () => {
+  const analysis = await analyzeSchemas([
+    { filePath: 'test-prefix/reviews-api.graphql', content: 'type Review @key(fields: "id") { id: ID! }' },
+    { filePath: 'test-prefix/reviews-legacy.graphql', content: 'type Rating @key(fields: "id") { id: ID! }' },
+    { filePath: 'test-prefix/products.graphql', content: 'type Product @key(fields: "id") { id: ID! }' },
+  ], 'test-prefix', { cache: false });
+
+  assert.deepEqual(analysis.metadata.subgraphs, ['reviews-api', 'reviews-legacy', 'products']);
+  assert.deepEqual(analysis.types.Rating.subgraphs, ['reviews-legacy']);
+});
+
+test('analyzeSchemas rejects two files that name the same subgraph', async () => {
+  await assert.rejects(
+    analyzeSchemas([
+      { filePath: 'test-clash/a.graphql', content: '# Subgraph: reviews\ntype Review { id: ID! }' },
+      { filePath: 'test-clash/b.graphql', content: '# Subgraph: reviews\ntype Rating { id: ID! }' },
+    ], 'test-clash', { cache: false }),
+    /test-clash\/a\.graphql and test-clash\/b\.graphql are both subgraph "reviews"/
+  );
+});
+
+test('getSourcesCachePath gives each set of inputs its own cache entry', () => {
+  const products = path.join(examplesDir, 'products-schema.graphql');
+  const reviews = path.join(examplesDir, 'reviews-schema.graphql');
+  const inventory = path.join(examplesDir, 'inventory-schema.graphql');
+
+  const pair = getSourcesCachePath([reviews, products]);
+  assert.equal(pair, path.join(examplesDir, '{products-schema.graphql,reviews-schema.graphql}'));
+  assert.equal(getSourcesCachePath([products, reviews]), pair);
+  assert.notEqual(getSourcesCachePath([products, inventory]), pair);
+  assert.notEqual(pair, getSourcesCachePath([examplesDir]));
+
+  // Inputs sharing only the filesystem root
+  const root = path.parse(process.cwd()).root;
+  assert.equal(
+    getSourcesCachePath([path.join(root, 'tmp', 'a.graphql'), path.join(root, 'srv', 'b.graphql')]),
+    path.join(root, '{srv/b.graphql,tmp/a.graphql}'.replace(/\//g, path.sep))
+  );
+});
+
+test('hasSameSources tells whether a cached analysis was made from the given files', async () => {
+  const sources = await collectSchemaSources([examplesDir]);
+  const analysis = await analyzeSchemas(sources, examplesDir);
+
+  assert.ok(hasSameSources(analysis, [...sources].reverse()));
+  assert.ok(!hasSameSources(analysis, sources.slice(1)));
+});
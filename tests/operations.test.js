@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { analyzeOperations } from '../src/operations.js';
+
+const sources = [
+  {
+    filePath: 'test-operations/products.graphql',
+    content: `
+      type Product @key(fields: "id") {
+        id: ID!
+        name: String!
+        price: Float!
+      }
+
+      type Query {
+        product(id: ID!): Product
+      }
+    `,
+  },
+  {
+    filePath: 'test-operations/shipping.graphql',
+    content: `
+      extend type Product @key(fields: "id") {
+        id: ID! @external
+        price: Float! @external
+        shippingCost: Float! @requires(fields: "price")
+        insurance: Float! @requires(fields: "id price")
+      }
+
+      type Order @key(fields: "id") {
+        id: ID!
+        product: Product! @provides(fields: "name")
+        total: Float!
+      }
+
+      extend type Product @key(fields: "id") {
+        name: String! @external
+      }
+
+      type Query {
+        order(id: ID!): Order
+      }
+    `,
+  },
+];
+
+const schema = 'test-operations';
+
+const operations = [
+  {
+    filePath: 'ops/product.graphql',
+    content: `
+      query ProductPage {
+        product(id: "1") {
+          name
+          ...Shipping
+        }
+      }
+    `,
+  },
+  {
+    filePath: 'ops/fragments.graphql',
+    content: `
+      fragment Shipping on Product {
+        shippingCost
+      }
+    `,
+  },
+  {
+    filePath: 'ops/order.graphql',
+    content: `
+      query OrderPage {
+        order(id: "1") {
+          total
+          product { name }
+        }
+      }
+    `,
+  },
+];
+
+test('analyzeOperations follows @requires into other subgraphs, through fragments', async () => {
+  await analyzeSchemas(sources, schema);
+
+  const [productPage] = await analyzeOperations(operations, { schema });
+  assert.equal(productPage.name, 'ProductPage');
+  assert.deepEqual(productPage.subgraphs, ['products', 'shipping']);
+  assert.deepEqual(
+    productPage.requires.map(r => `${r.field} from ${r.subgraph} for ${r.requiredBy}`),
+    ['Product.price from products for Product.shippingCost']
+  );
+  assert.deepEqual(productPage.provides, []);
+  assert.deepEqual(productPage.problems, []);
+});
+
+test('analyzeOperations applies @provides shortcuts', async () => {
+  await analyzeSchemas(sources, schema);
+
+  const orderPage = (await analyzeOperations(operations, { schema })).find(r => r.name === 'OrderPage');
+  assert.deepEqual(orderPage.subgraphs, ['shipping']);
+  assert.deepEqual(orderPage.provides.map(p => `${p.field}: ${p.fields.join(', ')}`), ['Order.product: Product.name']);
+  assert.equal(orderPage.fields.find(f => f.field === 'Product.name').providedBy, 'Order.product');
+});
+
+test('analyzeOperations filters by a required field and reports unknown fields', async () => {
+  await analyzeSchemas(sources, schema);
+
+  const requiring = await analyzeOperations(operations, { schema, requires: 'Product.price' });
+  assert.deepEqual(requiring.map(r => r.name), ['ProductPage']);
+
+  const [broken] = await analyzeOperations(
+    [{ filePath: 'ops/broken.graphql', content: 'query Broken { product(id: "1") { colour ...Missing } }' }],
+    { schema }
+  );
+  assert.deepEqual(broken.problems.map(p => p.code), ['unknown-field', 'unknown-fragment']);
+  assert.deepEqual(broken.problems[0].location, { file: 'ops/broken.graphql', line: 1, column: 35 });
+});
+
+test('analyzeOperations reports key fields a @requires selects', async () => {
+  await analyzeSchemas(sources, schema);
+
+  const [insured] = await analyzeOperations(
+    [{ filePath: 'ops/insured.graphql', content: 'query Insured { product(id: "1") { insurance } }' }],
+    { schema }
+  );
+  assert.deepEqual(
+    insured.requires.map(r => `${r.field}${r.keyField ? ' (key)' : ''} for ${r.requiredBy}`),
+    ['Product.id (key) for Product.insurance', 'Product.price for Product.insurance']
+  );
+});
+
+test('analyzeOperations reports fragments on unknown types once', async () => {
+  await analyzeSchemas(sources, schema);
+
+  const [broken] = await analyzeOperations(
+    [{
+      filePath: 'ops/fragment-types.graphql',
+      content: `
+        query FragmentTypes {
+          product(id: "1") { ... on Produkt { name price } ...Priced }
+        }
+        fragment Priced on Prise { amount }
+      `,
+    }],
+    { schema }
+  );
+  assert.deepEqual(broken.problems.map(p => `${p.code}: ${p.message}`), [
+    'unknown-type: Type "Produkt" of inline fragment not found in schema',
+    'unknown-type: Type "Prise" of fragment "Priced" not found in schema',
+  ]);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { planOperations, formatPlan } from '../src/plan.js';
+
+const sources = [
+  {
+    filePath: 'test-plan/products.graphql',
+    content: `
+      type Product @key(fields: "id") {
+        id: ID!
+        name: String!
+        weight: Float!
+      }
+
+      type Query {
+        product(id: ID!): Product
+        topProducts: [Product!]!
+      }
+    `,
+  },
+  {
+    filePath: 'test-plan/shipping.graphql',
+    content: `
+      extend type Product @key(fields: "id") {
+        id: ID! @external
+        weight: Float! @external
+        name: String! @external
+        shippingCost: Float! @requires(fields: "weight")
+        warehouse: Warehouse! @provides(fields: "name")
+      }
+
+      type Warehouse @key(fields: "id") {
+        id: ID!
+        name: String! @external
+      }
+
+      type Query {
+        cheapest: Product!
+      }
+    `,
+  },
+  {
+    filePath: 'test-plan/warehouses.graphql',
+    content: `
+      type Warehouse @key(fields: "id") {
+        id: ID!
+        name: String!
+        city: String!
+      }
+
+      type Mutation {
+        renameWarehouse(id: ID!, name: String!): Warehouse
+      }
+    `,
+  },
+];
+
+const schema = 'test-plan';
+
+const plan = async (content, options = {}) => {
+  const [result] = await planOperations([{ filePath: 'ops/op.graphql', content }], { schema, ...options });
+  return result;
+};
+
+test('planOperations makes a root fetch and entity fetches with the target key', async () => {
+  await analyzeSchemas(sources, schema);
+
+  const result = await plan('query P { product(id: "1") { name warehouse { city } } }');
+  assert.deepEqual(
+    result.fetches.map(f => `#${f.id} ${f.kind} ${f.subgraph} ${f.type} hop ${f.hop}`),
+    [
+      '#1 root products Query hop 1',
+      '#2 entity shipping Product hop 2',
+      '#3 entity warehouses Warehouse hop 3',
+    ]
+  );
+  assert.equal(result.fetches[1].key, 'id');
+  assert.equal(result.fetches[1].path, 'product');
+  assert.equal(result.hops, 3);
+});
+
+test('planOperations fetches @requires fields before the field needing them', async () => {
+  await analyzeSchemas(sources, schema);
+
+  // weight comes with the root fetch, so shippingCost needs no extra hop
+  const direct = await plan('query P { product(id: "1") { shippingCost } }');
+  assert.equal(direct.hops, 2);
+  assert.ok(direct.fetches[0].fields.some(f => f.field === 'Product.weight' && f.requiredBy === 'Product.shippingCost'));
+
+  // Starting from shipping, weight is fetched from products before shipping resolves shippingCost
+  const viaShipping = await plan('query P { cheapest { shippingCost } }');
+  assert.deepEqual(
+    viaShipping.fetches.map(f => `#${f.id} ${f.subgraph} after [${f.dependsOn}]: ${f.fields.map(field => field.field)}`),
+    [
+      '#1 shipping after []: Query.cheapest',
+      '#2 products after [1]: Product.weight',
+      '#3 shipping after [2]: Product.shippingCost',
+    ]
+  );
+  assert.equal(viaShipping.hops, 3);
+});
+
+test('planOperations skips fetches for fields covered by @provides', async () => {
+  await analyzeSchemas(sources, schema);
+
+  const result = await plan('query P { product(id: "1") { warehouse { name } } }');
+  assert.equal(result.hops, 2);
+  assert.deepEqual(result.shortcuts.map(s => `${s.field} by ${s.providedBy}`), ['Warehouse.name by Product.warehouse']);
+  assert.match(formatPlan(result), /query P: 2 fetches, 2 sequential hops/);
+});
+
+test('planOperations runs mutation root fields one after another', async () => {
+  await analyzeSchemas(sources, schema);
+
+  const result = await plan(`
+    mutation M {
+      first: renameWarehouse(id: "1", name: "A") { id }
+      second: renameWarehouse(id: "2", name: "B") { id }
+    }
+    query Other { topProducts { id } }
+  `, { operation: 'M' });
+  assert.equal(result.name, 'M');
+  assert.deepEqual(result.fetches.map(f => f.subgraph), ['warehouses']);
+  assert.equal(result.hops, 1);
+});
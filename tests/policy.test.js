@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { evaluatePolicy, validatePolicy, loadPolicy } from '../src/policy.js';
+
+const sources = [
+  {
+    filePath: 'test-policy/payments.graphql',
+    content: `
+      type Order @key(fields: "id") {
+        id: ID!
+        paidAmount: Float!
+      }
+    `,
+  },
+  {
+    filePath: 'test-policy/catalog.graphql',
+    content: `
+      type Order @key(fields: "id") {
+        id: ID! @external
+        paidAmount: Float! @external
+        receipt: String @requires(fields: "paidAmount")
+        reference: String @requires(fields: "id")
+      }
+    `,
+  },
+];
+
+const rules = (...list) => validatePolicy({ rules: list });
+
+test('deny rules report the dependencies they match', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-policy');
+
+  const result = evaluatePolicy(analysis, rules({
+    name: 'no-requires-from-payments',
+    effect: 'deny',
+    match: { directive: '@requires', dependedSubgraph: 'payments' },
+  }));
+
+  // @requires of a key field is recorded as a key dependency
+  assert.deepEqual(
+    result.violations.map(v => `${v.rule} ${v.dependency.dependingField} -> ${v.dependency.dependedField}`),
+    ['no-requires-from-payments receipt -> paidAmount']
+  );
+  assert.equal(result.violations[0].severity, 'error');
+  assert.equal(result.violations[0].dependency.location.file, 'test-policy/catalog.graphql');
+});
+
+test('allow rules exempt dependencies from deny rules', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-policy');
+
+  const result = evaluatePolicy(analysis, rules(
+    { name: 'catalog-keys-only', effect: 'deny', severity: 'warning', match: { dependingSubgraph: 'catalog' } },
+    { effect: 'allow', match: { dependingSubgraph: 'catalog', dependedKeyField: true } }
+  ));
+
+  assert.deepEqual(result.violations.map(v => v.dependency.dependedField), ['paidAmount']);
+  assert.equal(result.violations[0].severity, 'warning');
+});
+
+test('rules match with wildcards and lists, and skip field type records unless named', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-policy');
+
+  const wildcard = evaluatePolicy(analysis, rules({ effect: 'deny', match: { dependingField: 're*', dependedField: ['id', 'x'] } }));
+  assert.deepEqual(wildcard.violations.map(v => v.dependency.dependingField), ['reference']);
+
+  const fieldTypes = evaluatePolicy(analysis, rules({ effect: 'deny', match: { dependingType: 'Order', crossSubgraph: false } }));
+  assert.ok(fieldTypes.violations.every(v => v.dependency.directive !== 'field_type'));
+});
+
+test('validatePolicy rejects malformed rules', () => {
+  assert.throws(() => validatePolicy({}), /expected a "rules" list/);
+  assert.throws(() => validatePolicy({ rules: [{ match: {} }] }), /rule 1 needs an "effect"/);
+  assert.throws(() => validatePolicy({ rules: [{ effect: 'deny', match: { team: 'x' } }] }), /unknown property "team"/);
+  assert.throws(() => validatePolicy({ rules: [{ effect: 'deny', match: {} }, null] }), /rule 2 is not an object/);
+});
+
+test('loadPolicy reads YAML policy files', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fgq-policy-'));
+  const file = path.join(dir, '.fgqlpolicy.yaml');
+
+  try {
+    await fs.writeFile(file, [
+      'rules:',
+      '  - name: no-payments',
+      '    effect: deny',
+      '    match:',
+      '      dependedSubgraph: payments',
+    ].join('\n'));
+
+    const policy = await loadPolicy(file);
+    assert.equal(policy.file, file);
+    assert.deepEqual(policy.rules[0].match, { dependedSubgraph: 'payments' });
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchemas } from '../src/analyzer.js';
+import { buildReportData, renderHtmlReport } from '../src/report.js';
+
+// Review.product @provides Product.name, which only products resolves
+const sources = [
+  {
+    filePath: 'test-report/products.graphql',
+    content: `
+      interface Node {
+        id: ID!
+      }
+
+      type Product implements Node @key(fields: "id") {
+        id: ID!
+        name: String!
+        price: Float!
+      }
+    `,
+  },
+  {
+    filePath: 'test-report/reviews.graphql',
+    content: `
+      type Review @key(fields: "id") {
+        id: ID!
+        body: String!
+        product: Product! @provides(fields: "name")
+      }
+
+      extend type Product @key(fields: "id") {
+        id: ID! @external
+        name: String! @external
+        reviews: [Review!]!
+      }
+    `,
+  },
+];
+
+test('buildReportData collects types, dependencies, metrics and graphs', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-report');
+  const data = buildReportData(analysis, { title: 'Reviews review' });
+
+  assert.equal(data.title, 'Reviews review');
+  assert.deepEqual(data.types.map(type => `${type.name} ${type.kind}`), ['Node interface', 'Product entity', 'Review entity']);
+  const product = data.types.find(type => type.name === 'Product');
+  assert.deepEqual(product.keys, [{ fields: 'id', subgraphs: ['products', 'reviews'] }]);
+  assert.equal(product.fields.find(field => field.name === 'reviews').type, '[Review!]!');
+  // Providing a field doesn't make the providing subgraph resolve it
+  assert.deepEqual(product.fields.find(field => field.name === 'name').resolvedBy, ['products']);
+
+  const provides = data.dependencies.filter(dep => dep.directive === 'provides');
+  assert.deepEqual(provides.map(dep => `${dep.dependingType}.${dep.dependingField} -> ${dep.dependedType}.${dep.dependedField}`), ['Review.product -> Product.name']);
+  assert.match(provides[0].location, /^test-report\/reviews\.graphql:\d+:\d+$/);
+  assert.ok(data.dependencies.every(dep => dep.dependingField !== dep.dependedField || dep.dependingType !== dep.dependedType));
+
+  assert.deepEqual(data.metrics.subgraphs.map(s => `${s.name} ${s.fanIn}/${s.fanOut}`), ['products 1/0', 'reviews 0/1']);
+  assert.ok(data.graphs.subgraph.edges.some(edge => edge.from === 'reviews' && edge.to === 'products' && edge.directive === 'provides'));
+});
+
+test('renderHtmlReport embeds everything and needs no network', async () => {
+  const analysis = await analyzeSchemas(sources, 'test-report');
+  const data = buildReportData(analysis, { title: 'A </script> & <b>review</b>' });
+  const html = renderHtmlReport(data);
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<title>A &lt;\/script&gt; &amp; &lt;b&gt;review&lt;\/b&gt;<\/title>/);
+  assert.doesNotMatch(html, /(src|href)="https?:/);
+  assert.doesNotMatch(html, /<link /);
+
+  // The embedded data can't end its script element early and parses back
+  const embedded = html.match(/<script type="application\/json" id="report-data">([\s\S]*?)<\/script>/)[1];
+  assert.deepEqual(JSON.parse(embedded), data);
+});
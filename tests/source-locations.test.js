@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema, analyzeSchemas } from '../src/analyzer.js';
+
+test('analyzeSchema records where each type and field is declared', async () => {
+  const analysis = await analyzeSchema(`type Product @key(fields: "id") {
+  id: ID!
+  price: Float
+}
+
+input PriceFilter {
+  min: Float
+}
+`, 'test-locations-types.graphql');
+
+  assert.deepEqual(analysis.types.Product.location, { file: 'test-locations-types.graphql', line: 1, column: 1 });
+  assert.deepEqual(analysis.types.Product.fields.price.location, { file: 'test-locations-types.graphql', line: 3, column: 3 });
+  assert.deepEqual(analysis.inputTypes.PriceFilter.fields.min.location, { file: 'test-locations-types.graphql', line: 7, column: 3 });
+});
+
+test('dependencies point at the selected field inside the field set string', async () => {
+  const analysis = await analyzeSchema(`type Review @key(fields: "id") {
+  id: ID!
+  product: Product @external
+  isGoodValue: Boolean @requires(fields: "product { price weight }")
+}
+
+type Product @key(fields: "id") {
+  id: ID!
+  price: Float
+  weight: Float
+}
+`, 'test-locations-deps.graphql');
+
+  const weightDep = analysis.dependencies.find(d => d.dependingField === 'isGoodValue' && d.dependedField === 'weight');
+  assert.equal(weightDep.fieldSetOffset, 16);
+  // "product { price weight }" starts at column 43 of line 4
+  assert.deepEqual(weightDep.location, { file: 'test-locations-deps.graphql', line: 4, column: 59 });
+
+  const fieldTypeDep = analysis.dependencies.find(d => d.directive === 'field_type' && d.dependingField === 'product');
+  assert.deepEqual(fieldTypeDep.location, { file: 'test-locations-deps.graphql', line: 3, column: 3 });
+});
+
+test('dependencies keep the file they came from when analyzing several subgraphs', async () => {
+  const analysis = await analyzeSchemas([
+    {
+      filePath: 'test-locations/products.graphql',
+      content: `type Product @key(fields: "id") {
+  id: ID!
+  price: Float
+}`,
+    },
+    {
+      filePath: 'test-locations/inventory.graphql',
+      content: `type Product @key(fields: "id") {
+  id: ID!
+  price: Float @external
+  inStockValue: Float @requires(fields: """
+    price
+  """)
+}`,
+    },
+  ], 'test-locations');
+
+  const dep = analysis.dependencies.find(d => d.dependingField === 'inStockValue');
+  // Block strings fall back to the directive's own location
+  assert.deepEqual(dep.location, { file: 'test-locations/inventory.graphql', line: 4, column: 23 });
+});
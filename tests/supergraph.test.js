@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema } from '../src/analyzer.js';
+
+const supergraphSchema = `
+  schema @link(url: "https://specs.apollo.dev/join/v0.3", for: EXECUTION) { query: Query }
+
+  enum join__Graph {
+    PRODUCTS @join__graph(name: "products", url: "http://products:4001")
+    REVIEWS @join__graph(name: "reviews", url: "http://reviews:4002")
+  }
+
+  interface Node @join__type(graph: PRODUCTS) { id: ID! }
+
+  type Product implements Node
+    @join__implements(graph: PRODUCTS, interface: "Node")
+    @join__type(graph: PRODUCTS, key: "id")
+    @join__type(graph: REVIEWS, key: "id", extension: true)
+    @join__type(graph: REVIEWS, key: "sku", resolvable: false)
+  {
+    id: ID!
+    sku: String! @join__field(graph: PRODUCTS) @join__field(graph: REVIEWS, external: true)
+    price: Float @join__field(graph: PRODUCTS) @join__field(graph: REVIEWS, external: true)
+    valueScore: Float @join__field(graph: REVIEWS, requires: "price")
+  }
+
+  type Query @join__type(graph: PRODUCTS) @join__type(graph: REVIEWS) {
+    product: Product @join__field(graph: PRODUCTS)
+  }
+
+  enum Currency @join__type(graph: PRODUCTS) { USD @join__enumValue(graph: PRODUCTS) }
+
+  union Media @join__type(graph: PRODUCTS) @join__unionMember(graph: PRODUCTS, member: "Product") = Product
+`;
+
+test('analyzeSchema reads subgraph names and URLs from join__Graph', async () => {
+  const analysis = await analyzeSchema(supergraphSchema, 'supergraph-test.graphql');
+
+  assert.deepEqual(analysis.metadata.subgraphs, ['products', 'reviews']);
+  assert.deepEqual(analysis.supergraph.graphs.REVIEWS, {
+    enumValue: 'REVIEWS',
+    name: 'reviews',
+    url: 'http://reviews:4002',
+  });
+  assert.deepEqual(analysis.supergraph.unionMembers.Media, [{ graph: 'products', member: 'Product' }]);
+  assert.deepEqual(analysis.supergraph.enumValues.Currency, { USD: ['products'] });
+});
+
+test('analyzeSchema builds per-graph type, key and field resolution data', async () => {
+  const analysis = await analyzeSchema(supergraphSchema, 'supergraph-test.graphql');
+  const product = analysis.types['Product'];
+
+  assert.deepEqual(product.subgraphs, ['products', 'reviews']);
+  assert.deepEqual(
+    product.joinTypes.map(t => [t.graph, t.key, t.extension, t.resolvable]),
+    [
+      ['products', 'id', false, true],
+      ['reviews', 'id', true, true],
+      ['reviews', 'sku', false, false],
+    ]
+  );
+  assert.deepEqual(product.joinImplements, [{ graph: 'products', interface: 'Node' }]);
+  assert.deepEqual(analysis.implementations.Node, ['Product']);
+
+  // Fields without @join__field are resolvable by every graph defining the type
+  assert.deepEqual(product.fields.id.resolvedBy, ['products', 'reviews']);
+  assert.deepEqual(product.fields.price.subgraphs, ['products', 'reviews']);
+  assert.deepEqual(product.fields.price.resolvedBy, ['products']);
+});
+
+test('analyzeSchema attributes supergraph dependencies to the real subgraph name', async () => {
+  const analysis = await analyzeSchema(supergraphSchema, 'supergraph-test.graphql');
+
+  const requiresDep = analysis.dependencies.find(d => d.dependingField === 'valueScore');
+  assert.equal(requiresDep.dependingSubgraph, 'reviews');
+  assert.equal(requiresDep.dependedField, 'price');
+
+  const entityDeps = analysis.dependencies.filter(d => d.dependingField === '_entity');
+  assert.deepEqual(entityDeps.map(d => [d.dependingSubgraph, d.dependedField]), [['reviews', 'id']]);
+
+  const externalDeps = analysis.dependencies.filter(d => d.directive === 'external');
+  assert.deepEqual(externalDeps.map(d => [d.dependingSubgraph, d.dependedField]), [['reviews', 'sku']]);
+});
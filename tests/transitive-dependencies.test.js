@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema } from '../src/analyzer.js';
+import { queryDependencies } from '../src/query.js';
+import { buildDependencyGraph, expandDependents } from '../src/graph.js';
+
+const schema = `
+  type Product @key(fields: "id") {
+    id: ID!
+    price: Float
+  }
+
+  type Offer @key(fields: "id") {
+    id: ID!
+    product: Product @external
+    discounted: Float @requires(fields: "product { price }")
+  }
+
+  type Cart @key(fields: "id") {
+    id: ID!
+    offer: Offer @external
+    total: Float @requires(fields: "offer { discounted }")
+  }
+
+  type Checkout @key(fields: "id") {
+    id: ID!
+    cart: Cart @external
+    amountDue: Float @requires(fields: "cart { total }")
+  }
+`;
+
+const describe = (dep) => `${dep.dependingType}.${dep.dependingField}`;
+
+test('queryDependencies follows chains of dependents with their chain', async () => {
+  await analyzeSchema(schema, 'test-transitive.graphql');
+
+  const results = await queryDependencies('Product', { field: 'price', schema: 'test-transitive.graphql' });
+  assert.deepEqual(results.map(describe), ['Offer.discounted', 'Cart.total', 'Checkout.amountDue']);
+
+  const amountDue = results.find(d => d.dependingField === 'amountDue');
+  assert.equal(amountDue.depth, 3);
+  assert.deepEqual(amountDue.chain, ['Product.price', 'Offer.discounted', 'Cart.total', 'Checkout.amountDue']);
+});
+
+test('queryDependencies limits the closure with depth and direct', async () => {
+  await analyzeSchema(schema, 'test-transitive-depth.graphql');
+
+  const twoHops = await queryDependencies('Product', {
+    field: 'price',
+    depth: 2,
+    schema: 'test-transitive-depth.graphql',
+  });
+  assert.deepEqual(twoHops.map(describe), ['Offer.discounted', 'Cart.total']);
+
+  const direct = await queryDependencies('Product', {
+    field: 'price',
+    direct: true,
+    schema: 'test-transitive-depth.graphql',
+  });
+  assert.deepEqual(direct.map(describe), ['Offer.discounted']);
+});
+
+test('expandDependents terminates on dependency cycles', () => {
+  const dependencies = [
+    { dependingType: 'A', dependingField: 'x', dependedType: 'B', dependedField: 'y', directive: 'requires' },
+    { dependingType: 'B', dependingField: 'y', dependedType: 'A', dependedField: 'x', directive: 'requires' },
+    { dependingType: 'C', dependingField: 'z', dependedType: 'A', dependedField: 'x', directive: 'requires' },
+  ];
+  const graph = buildDependencyGraph(dependencies);
+
+  const results = expandDependents(graph, [dependencies[0]]);
+  assert.deepEqual(results.map(d => d.chain.join(' <- ')), ['B.y <- A.x', 'B.y <- A.x <- C.z']);
+});
+
+test('queryDependencies leaves type references without depth or chain', async () => {
+  await analyzeSchema(`
+    type Product @key(fields: "id") {
+      id: ID!
+      price: Float
+    }
+
+    type Listing {
+      product: Product
+      discounted: Float @requires(fields: "product { price }")
+    }
+  `, 'test-transitive-structural.graphql');
+
+  const results = await queryDependencies('Product', { schema: 'test-transitive-structural.graphql' });
+  const fieldType = results.find(d => d.directive === 'field_type');
+  assert.ok(fieldType);
+  assert.ok(!('depth' in fieldType) && !('chain' in fieldType));
+
+  const requires = results.find(d => d.directive === 'requires' && d.dependedField === 'price');
+  assert.deepEqual(requires.chain, ['Product.price', 'Listing.discounted']);
+});
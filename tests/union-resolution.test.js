@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema } from '../src/analyzer.js';
+import { queryDependencies } from '../src/query.js';
+
+const schema = `
+  union Media = Book | Movie
+
+  type Book {
+    isbn: String
+    title: String
+    author: Author
+  }
+
+  type Movie {
+    imdbId: String
+    title: String
+  }
+
+  type Author {
+    name: String
+  }
+
+  type Shelf {
+    media: [Media]
+    summary: String @requires(fields: "media { title author { name } }")
+  }
+
+  extend union Media = Song
+
+  type Song {
+    title: String
+  }
+`;
+
+test('analyzeSchema models unions and their members', async () => {
+  const analysis = await analyzeSchema(schema, 'test-union.graphql');
+
+  assert.deepEqual(analysis.unions.Media.members, ['Book', 'Movie', 'Song']);
+  assert.equal(analysis.types.Media.isUnion, true);
+  assert.deepEqual(analysis.types.Media.members, ['Book', 'Movie', 'Song']);
+});
+
+test('field specs through a union fan out to every member with the selected field', async () => {
+  const analysis = await analyzeSchema(schema, 'test-union.graphql');
+  const summaryDeps = analysis.dependencies.filter(d => d.dependingField === 'summary');
+
+  const titleOwners = summaryDeps
+    .filter(d => d.fieldPath === 'media.title')
+    .map(d => d.dependedType);
+  assert.deepEqual(titleOwners, ['Book', 'Movie', 'Song']);
+
+  // Only Book has an author, and the path continues into Author
+  assert.ok(summaryDeps.some(d => d.dependedType === 'Book' && d.dependedField === 'author'));
+  assert.ok(summaryDeps.some(d => d.dependedType === 'Author' && d.fieldPath === 'media.author.name'));
+
+  // Nothing is attributed to the union itself
+  assert.ok(!summaryDeps.some(d => d.dependedType === 'Media'));
+});
+
+test('queryDependencies finds dependencies on a union member', async () => {
+  await analyzeSchema(schema, 'test-union.graphql');
+  const deps = await queryDependencies('Movie', { schema: 'test-union.graphql' });
+
+  assert.equal(deps.length, 1);
+  assert.equal(deps[0].dependingType, 'Shelf');
+  assert.equal(deps[0].dependedField, 'title');
+});
+
+test('inline fragments attribute selections to the type named in the condition', async () => {
+  const analysis = await analyzeSchema(`
+    union Media = Book | Movie
+    type Book { isbn: String author: Author }
+    type Movie { imdbId: String }
+    type Author { name: String }
+    type Shelf {
+      media: [Media]
+      summary: String @requires(fields: "media { ... on Book { isbn author { name } } ...on Movie { imdbId } }")
+    }
+  `, 'test-union.graphql');
+  const summaryDeps = analysis.dependencies.filter(d => d.dependingField === 'summary');
+
+  // No bogus dependencies on fields named after the fragment syntax
+  assert.ok(!summaryDeps.some(d => ['on', 'Book', 'Movie', '...'].includes(d.dependedField)));
+
+  const isbnDep = summaryDeps.find(d => d.dependedField === 'isbn');
+  assert.equal(isbnDep.dependedType, 'Book');
+  assert.equal(isbnDep.fieldPath, 'media.isbn');
+  assert.equal(isbnDep.typeCondition, 'Book');
+
+  const nameDep = summaryDeps.find(d => d.dependedField === 'name');
+  assert.equal(nameDep.dependedType, 'Author');
+  assert.equal(nameDep.typeCondition, 'Book');
+
+  const imdbDep = summaryDeps.find(d => d.dependedField === 'imdbId');
+  assert.equal(imdbDep.dependedType, 'Movie');
+  assert.equal(imdbDep.typeCondition, 'Movie');
+
+  const mediaDep = summaryDeps.find(d => d.dependedField === 'media');
+  assert.equal(mediaDep.typeCondition, undefined);
+});
+
+test('inline fragments on unknown types are reported and dropped', async () => {
+  const analysis = await analyzeSchema(`
+    union Media = Book | Movie
+    type Book { isbn: String }
+    type Movie { isbn: String }
+    type Shelf {
+      media: [Media]
+      summary: String @requires(fields: "media { ... on Bok { isbn } }")
+    }
+  `, 'test-union-unknown-condition.graphql');
+  const summaryDeps = analysis.dependencies.filter(d => d.dependingField === 'summary');
+
+  // A misspelled condition isn't attributed to every member of the union
+  assert.deepEqual(summaryDeps.map(d => `${d.dependedType}.${d.dependedField}`), ['Shelf.media']);
+
+  const problems = analysis.diagnostics.filter(d => d.code === 'unknown-type');
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].severity, 'warning');
+  assert.equal(problems[0].fieldSet, 'media.isbn');
+  assert.match(problems[0].message, /type condition "\.\.\. on Bok" names a type that is not defined/);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeSchema, analyzeSchemas } from '../src/analyzer.js';
+import { hasCache } from '../src/cache.js';
+import { queryDiagnostics } from '../src/query.js';
+
+const codes = (analysis) => analysis.diagnostics.map(d => d.code).sort();
+
+test('reports field set segments that do not exist, at the selected field', async () => {
+  const analysis = await analyzeSchema(`type Review @key(fields: "id") {
+  id: ID!
+  product: Product @external
+  isGoodValue: Boolean @requires(fields: "product { prize }")
+}
+
+type Product @key(fields: "id") {
+  id: ID!
+  price: Float
+}
+`, 'test-validate-unknown.graphql');
+
+  assert.deepEqual(codes(analysis), ['unknown-field']);
+  const [diagnostic] = analysis.diagnostics;
+  assert.equal(diagnostic.severity, 'error');
+  assert.match(diagnostic.message, /Product has no field "prize"/);
+  assert.deepEqual(diagnostic.location, { file: 'test-validate-unknown.graphql', line: 4, column: 53 });
+});
+
+test('reports selections on leaf types', async () => {
+  const analysis = await analyzeSchema(`
+    type Product @key(fields: "id") {
+      id: ID!
+      price: Float @external
+      tax: Float @requires(fields: "price { amount }")
+    }
+  `, 'test-validate-leaf.graphql');
+
+  assert.deepEqual(codes(analysis), ['selection-on-leaf']);
+  assert.match(analysis.diagnostics[0].message, /Float is a leaf type/);
+});
+
+test('reports @requires fields that are not @external', async () => {
+  const analysis = await analyzeSchema(`
+    type Product @key(fields: "id") {
+      id: ID!
+      price: Float
+      tax: Float @requires(fields: "price")
+    }
+  `, 'test-validate-external.graphql');
+
+  assert.deepEqual(codes(analysis), ['requires-not-external']);
+  assert.equal(analysis.diagnostics[0].field, 'tax');
+});
+
+test('reports @provides on fields that do not return an entity', async () => {
+  const analysis = await analyzeSchema(`
+    type Query {
+      topProducts: [Product] @provides(fields: "name")
+      topBrands: [Brand] @provides(fields: "name")
+    }
+    type Product @key(fields: "id") {
+      id: ID!
+      name: String @external
+    }
+    type Brand {
+      name: String
+    }
+  `, 'test-validate-provides.graphql');
+
+  assert.deepEqual(codes(analysis), ['provides-on-non-entity']);
+  assert.equal(analysis.diagnostics[0].field, 'topBrands');
+});
+
+test('reports @key fields missing from the type', async () => {
+  const analysis = await analyzeSchema(`
+    type Product @key(fields: "id") @key(fields: "sku") {
+      id: ID!
+    }
+  `, 'test-validate-key.graphql');
+
+  assert.deepEqual(codes(analysis), ['missing-key-field']);
+  assert.equal(analysis.diagnostics[0].fieldSet, 'sku');
+});
+
+test('queryDiagnostics returns the cached diagnostics, errors first', async () => {
+  await analyzeSchema(`
+    type Product @key(fields: "id") {
+      id: ID!
+      dimensions: Dimensions @external
+      price: Float
+      shipping: Float @requires(fields: "dimensions { width } price")
+    }
+  `, 'test-validate-query.graphql');
+
+  const diagnostics = await queryDiagnostics({ schema: 'test-validate-query.graphql' });
+  assert.deepEqual(diagnostics.map(d => d.severity), ['error', 'warning']);
+  assert.deepEqual(diagnostics.map(d => d.code), ['requires-not-external', 'unknown-type']);
+});
+
+test('analyzeSchemas with cache: false leaves the cached analyses alone', async () => {
+  const cachePath = 'test-validation-uncached.graphql';
+  const analysis = await analyzeSchemas(
+    [{ filePath: cachePath, content: 'type Product @key(fields: "sku") { id: ID! }' }],
+    cachePath,
+    { cache: false }
+  );
+  assert.deepEqual(codes(analysis), ['missing-key-field']);
+  assert.equal(await hasCache(cachePath), false);
+});